@@ -9,16 +9,22 @@ require('dotenv').config();
 const OBSClient = require('./src/obs/obs-client');
 const TwitchClient = require('./src/twitch/twitch-client');
 const TwitchAPIClient = require('./src/twitch/twitch-api-client');
+const EventSubMockServer = require('./src/twitch/eventsub-mock-server');
 const MIDIClient = require('./src/midi/midi-client');
 const ActionManager = require('./src/actions/action-manager');
+const ControlServer = require('./src/api/control-server');
+const WebhookServer = require('./src/api/webhook-server');
 
 // Keep a global reference of the window object and services
 let mainWindow;
 let obsClient;
 let twitchClient;
 let twitchAPIClient;
+let eventSubMockServer;
 let midiClient;
 let actionManager;
+let controlServer;
+let webhookServer;
 
 // Create the main application window
 function createWindow() {
@@ -66,6 +72,18 @@ async function initializeServices() {
   actionManager = new ActionManager();
   global.actionManager = actionManager;
 
+  // Load action queue definitions
+  await actionManager.queueManager.loadQueues();
+
+  // Load stored variables
+  await actionManager.variableStore.loadVariables();
+
+  // Load counter definitions (their values are global variables)
+  await actionManager.counters.loadCounters();
+
+  // Load the quote database
+  await actionManager.quotes.loadQuotes();
+
   // Load settings
   const settings = await actionManager.loadSettings();
   global.settings = settings;
@@ -86,15 +104,39 @@ async function initializeServices() {
   // Load saved tokens
   const tokensLoaded = await twitchAPIClient.loadTokens(path.join(__dirname, 'data', 'twitch-tokens.json'));
 
+  // Use a custom EventSub server (e.g. a local mock) when configured
+  twitchAPIClient.setEventSubUrl(settings.eventSub?.url);
+
   // Start EventSub if tokens were loaded
-  if (tokensLoaded && twitchAPIClient.isAuthenticated()) {
+  if (twitchAPIClient.isEventSubTestMode() || (tokensLoaded && twitchAPIClient.isAuthenticated())) {
     twitchAPIClient.startEventSub();
   }
 
+  // Event Simulator (only listens when started from the renderer)
+  eventSubMockServer = new EventSubMockServer();
+
   // Initialize MIDI client
   midiClient = new MIDIClient();
   global.midiClient = midiClient;
 
+  // Initialize control API (only listens when enabled in settings)
+  controlServer = new ControlServer();
+  global.controlServer = controlServer;
+  try {
+    await controlServer.configure(settings.controlApi);
+  } catch (error) {
+    console.error('Failed to start control API:', error);
+  }
+
+  // Initialize webhook listener (only listens when enabled in settings)
+  webhookServer = new WebhookServer();
+  global.webhookServer = webhookServer;
+  try {
+    await webhookServer.configure(settings.webhooks);
+  } catch (error) {
+    console.error('Failed to start webhook server:', error);
+  }
+
   console.log('Services initialized');
 }
 
@@ -247,12 +289,55 @@ function setupIPCHandlers() {
     try {
       const isAuthenticated = twitchAPIClient.isAuthenticated();
       const user = isAuthenticated ? twitchAPIClient.getUser() : null;
-      return { authenticated: isAuthenticated, user };
+      const missingScopes = isAuthenticated ? await twitchAPIClient.getMissingScopes() : [];
+      return { authenticated: isAuthenticated, user, missingScopes };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('twitchapi:getEventSubStatus', async () => {
+    try {
+      return twitchAPIClient.getEventSubStatus();
     } catch (error) {
       throw error;
     }
   });
 
+  // Channel point reward handlers
+  ipcMain.handle('rewards:list', async () => {
+    try {
+      return await twitchAPIClient.getRewardsWithManageability();
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('rewards:create', async (event, rewardData) => {
+    try {
+      return await twitchAPIClient.createCustomReward(rewardData);
+    } catch (error) {
+      throw new Error(error.response?.data?.message || error.message);
+    }
+  });
+
+  ipcMain.handle('rewards:update', async (event, rewardId, rewardData) => {
+    try {
+      return await twitchAPIClient.updateCustomReward(rewardId, rewardData);
+    } catch (error) {
+      throw new Error(error.response?.data?.message || error.message);
+    }
+  });
+
+  ipcMain.handle('rewards:delete', async (event, rewardId) => {
+    try {
+      await twitchAPIClient.deleteCustomReward(rewardId);
+      return { success: true };
+    } catch (error) {
+      throw new Error(error.response?.data?.message || error.message);
+    }
+  });
+
   ipcMain.handle('twitchapi:getCustomRewards', async (event, broadcasterId) => {
     try {
       const rewards = await twitchAPIClient.getCustomRewards(broadcasterId);
@@ -316,6 +401,22 @@ function setupIPCHandlers() {
     }
   });
 
+  ipcMain.handle('actions:getCooldowns', async () => {
+    try {
+      return actionManager.getCooldownStatus();
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('actions:getTemplateVariables', async () => {
+    try {
+      return actionManager.getTemplateVariables();
+    } catch (error) {
+      throw error;
+    }
+  });
+
   ipcMain.handle('actions:triggerChannelPoint', async (event, channelPointData) => {
     try {
       await actionManager.handleChannelPointTrigger(channelPointData);
@@ -343,6 +444,211 @@ function setupIPCHandlers() {
     }
   });
 
+  ipcMain.handle('actions:triggerGiftBomb', async (event, giftData) => {
+    try {
+      await actionManager.handleGiftBombTrigger(giftData);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('actions:triggerFollow', async (event, followData) => {
+    try {
+      await actionManager.handleFollowTrigger(followData);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('actions:triggerRaid', async (event, raidData) => {
+    try {
+      await actionManager.handleRaidTrigger(raidData);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('actions:triggerStreamOnline', async (event, streamData) => {
+    try {
+      await actionManager.handleStreamOnlineTrigger(streamData);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('actions:triggerStreamOffline', async (event, streamData) => {
+    try {
+      await actionManager.handleStreamOfflineTrigger(streamData);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  // Queue handlers
+  ipcMain.handle('queues:getStatus', async () => {
+    try {
+      return actionManager.queueManager.getStatus();
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('queues:save', async (event, queue) => {
+    try {
+      return await actionManager.queueManager.saveQueue(queue);
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('queues:delete', async (event, name) => {
+    try {
+      await actionManager.queueManager.deleteQueue(name);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('queues:pause', async (event, name) => {
+    try {
+      await actionManager.queueManager.pauseQueue(name);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('queues:resume', async (event, name) => {
+    try {
+      await actionManager.queueManager.resumeQueue(name);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('queues:clear', async (event, name) => {
+    try {
+      const cleared = actionManager.queueManager.clearQueue(name);
+      return { success: true, cleared };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  // Variable handlers
+  ipcMain.handle('variables:getAll', async () => {
+    try {
+      return actionManager.variableStore.getAll();
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('variables:set', async (event, scope, key, name, value) => {
+    try {
+      await actionManager.variableStore.set(scope, key, name, value);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('variables:reset', async (event, scope, key, name) => {
+    try {
+      await actionManager.variableStore.reset(scope, key, name);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  // Counter handlers
+  ipcMain.handle('counters:getAll', async () => {
+    try {
+      return actionManager.counters.getCounters();
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('counters:save', async (event, counter, originalName) => {
+    try {
+      return await actionManager.counters.saveCounter(counter, originalName);
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('counters:delete', async (event, name) => {
+    try {
+      await actionManager.counters.deleteCounter(name);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('counters:change', async (event, name, amount) => {
+    try {
+      const value = await actionManager.counters.changeBy(name, amount);
+      return { success: true, value };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('counters:set', async (event, name, value) => {
+    try {
+      const newValue = await actionManager.counters.setValue(name, value);
+      return { success: true, value: newValue };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  // Quote handlers
+  ipcMain.handle('quotes:getAll', async () => {
+    try {
+      return actionManager.quotes.getQuotes();
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('quotes:add', async (event, text) => {
+    try {
+      // Quotes added in the app are credited to the authenticated broadcaster
+      const user = twitchAPIClient ? twitchAPIClient.getUser() : null;
+      return await actionManager.quotes.addQuote(text, user ? user.display_name : '');
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('quotes:update', async (event, number, updates) => {
+    try {
+      return await actionManager.quotes.updateQuote(number, updates);
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('quotes:delete', async (event, number) => {
+    try {
+      await actionManager.quotes.deleteQuote(number);
+      return { success: true };
+    } catch (error) {
+      throw error;
+    }
+  });
+
   // MIDI handlers
   ipcMain.handle('midi:connect', async (event, deviceName) => {
     try {
@@ -418,12 +724,115 @@ function setupIPCHandlers() {
   ipcMain.handle('settings:save', async (event, settings) => {
     try {
       await actionManager.saveSettings(settings);
+
+      // Start, restart or stop the control API to match the new settings
+      try {
+        await controlServer.configure(settings.controlApi);
+      } catch (error) {
+        mainWindow.webContents.send('log:message', {
+          level: 'error',
+          message: `Control API failed to start: ${error.message}`
+        });
+      }
+
+      try {
+        await webhookServer.configure(settings.webhooks);
+      } catch (error) {
+        mainWindow.webContents.send('log:message', {
+          level: 'error',
+          message: `Webhook server failed to start: ${error.message}`
+        });
+      }
+
+      // The simulator owns the EventSub URL while it is running
+      if (!eventSubMockServer.getStatus().running) {
+        twitchAPIClient.setEventSubUrl(settings.eventSub?.url);
+      }
       return { success: true };
     } catch (error) {
       throw error;
     }
   });
 
+  // Control API handlers
+  ipcMain.handle('controlapi:getStatus', async () => {
+    try {
+      return controlServer.getStatus();
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  // Event Simulator handlers
+  ipcMain.handle('simulator:getStatus', async () => {
+    try {
+      return {
+        ...eventSubMockServer.getStatus(),
+        subscriptionTypes: eventSubMockServer.getSubscriptionTypes()
+      };
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('simulator:start', async (event, port) => {
+    try {
+      await eventSubMockServer.start(port);
+
+      // Point EventSub at the simulator; a running session reconnects on its own
+      twitchAPIClient.setEventSubUrl(eventSubMockServer.getUrl());
+      if (!twitchAPIClient.isEventSubRunning()) {
+        await twitchAPIClient.startEventSub();
+      }
+      return eventSubMockServer.getStatus();
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('simulator:stop', async () => {
+    try {
+      await twitchAPIClient.stopEventSub();
+      await eventSubMockServer.stop();
+
+      // Go back to the configured EventSub server
+      const settings = await actionManager.loadSettings();
+      twitchAPIClient.setEventSubUrl(settings.eventSub?.url);
+      if (twitchAPIClient.isEventSubTestMode() || twitchAPIClient.isAuthenticated()) {
+        await twitchAPIClient.startEventSub();
+      }
+      return eventSubMockServer.getStatus();
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('simulator:getSample', async (event, messageType, subscriptionType) => {
+    try {
+      const subscription = twitchAPIClient.getEventSubSubscriptionByType(subscriptionType);
+      return eventSubMockServer.getSamplePayload(messageType, subscriptionType, undefined, subscription);
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  ipcMain.handle('simulator:send', async (event, messageType, payload) => {
+    try {
+      return eventSubMockServer.send(messageType, payload);
+    } catch (error) {
+      throw error;
+    }
+  });
+
+  // Webhook handlers
+  ipcMain.handle('webhooks:getStatus', async () => {
+    try {
+      return webhookServer.getStatus();
+    } catch (error) {
+      throw error;
+    }
+  });
+
 
 }
 
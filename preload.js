@@ -22,8 +22,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   authenticateTwitchAPI: () => ipcRenderer.invoke('twitchapi:authenticate'),
   logoutTwitchAPI: () => ipcRenderer.invoke('twitchapi:logout'),
   getTwitchAPIStatus: () => ipcRenderer.invoke('twitchapi:getStatus'),
+  getEventSubStatus: () => ipcRenderer.invoke('twitchapi:getEventSubStatus'),
   getCustomRewards: (broadcasterId) => ipcRenderer.invoke('twitchapi:getCustomRewards', broadcasterId),
 
+  // Channel point rewards
+  listRewards: () => ipcRenderer.invoke('rewards:list'),
+  createReward: (rewardData) => ipcRenderer.invoke('rewards:create', rewardData),
+  updateReward: (rewardId, rewardData) => ipcRenderer.invoke('rewards:update', rewardId, rewardData),
+  deleteReward: (rewardId) => ipcRenderer.invoke('rewards:delete', rewardId),
+
   // Action management
   loadActions: () => ipcRenderer.invoke('actions:load'),
   saveActions: (actions) => ipcRenderer.invoke('actions:save', actions),
@@ -31,14 +38,61 @@ contextBridge.exposeInMainWorld('electronAPI', {
   updateAction: (actionId, action) => ipcRenderer.invoke('actions:update', actionId, action),
   deleteAction: (actionId) => ipcRenderer.invoke('actions:delete', actionId),
   testAction: (actionId) => ipcRenderer.invoke('actions:test', actionId),
+  getCooldowns: () => ipcRenderer.invoke('actions:getCooldowns'),
+  getTemplateVariables: () => ipcRenderer.invoke('actions:getTemplateVariables'),
   triggerChannelPoint: (channelPointData) => ipcRenderer.invoke('actions:triggerChannelPoint', channelPointData),
   triggerCheer: (cheerData) => ipcRenderer.invoke('actions:triggerCheer', cheerData),
   triggerSubscriber: (subscriberData) => ipcRenderer.invoke('actions:triggerSubscriber', subscriberData),
+  triggerGiftBomb: (giftData) => ipcRenderer.invoke('actions:triggerGiftBomb', giftData),
+  triggerFollow: (followData) => ipcRenderer.invoke('actions:triggerFollow', followData),
+  triggerRaid: (raidData) => ipcRenderer.invoke('actions:triggerRaid', raidData),
+  triggerStreamOnline: (streamData) => ipcRenderer.invoke('actions:triggerStreamOnline', streamData),
+  triggerStreamOffline: (streamData) => ipcRenderer.invoke('actions:triggerStreamOffline', streamData),
+
+  // Action queues
+  getQueueStatus: () => ipcRenderer.invoke('queues:getStatus'),
+  saveQueue: (queue) => ipcRenderer.invoke('queues:save', queue),
+  deleteQueue: (name) => ipcRenderer.invoke('queues:delete', name),
+  pauseQueue: (name) => ipcRenderer.invoke('queues:pause', name),
+  resumeQueue: (name) => ipcRenderer.invoke('queues:resume', name),
+  clearQueue: (name) => ipcRenderer.invoke('queues:clear', name),
+
+  // Variables
+  getVariables: () => ipcRenderer.invoke('variables:getAll'),
+  setVariable: (scope, key, name, value) => ipcRenderer.invoke('variables:set', scope, key, name, value),
+  resetVariable: (scope, key, name) => ipcRenderer.invoke('variables:reset', scope, key, name),
+
+  // Counters
+  getCounters: () => ipcRenderer.invoke('counters:getAll'),
+  saveCounter: (counter, originalName) => ipcRenderer.invoke('counters:save', counter, originalName),
+  deleteCounter: (name) => ipcRenderer.invoke('counters:delete', name),
+  changeCounter: (name, amount) => ipcRenderer.invoke('counters:change', name, amount),
+  setCounter: (name, value) => ipcRenderer.invoke('counters:set', name, value),
+
+  // Quotes
+  getQuotes: () => ipcRenderer.invoke('quotes:getAll'),
+  addQuote: (text) => ipcRenderer.invoke('quotes:add', text),
+  updateQuote: (number, updates) => ipcRenderer.invoke('quotes:update', number, updates),
+  deleteQuote: (number) => ipcRenderer.invoke('quotes:delete', number),
 
   // Settings
   loadSettings: () => ipcRenderer.invoke('settings:load'),
   saveSettings: (settings) => ipcRenderer.invoke('settings:save', settings),
 
+  // Control API
+  getControlAPIStatus: () => ipcRenderer.invoke('controlapi:getStatus'),
+
+  // Event Simulator
+  getSimulatorStatus: () => ipcRenderer.invoke('simulator:getStatus'),
+  startSimulator: (port) => ipcRenderer.invoke('simulator:start', port),
+  stopSimulator: () => ipcRenderer.invoke('simulator:stop'),
+  getSimulatorSample: (messageType, subscriptionType) => ipcRenderer.invoke('simulator:getSample', messageType, subscriptionType),
+  sendSimulatorMessage: (messageType, payload) => ipcRenderer.invoke('simulator:send', messageType, payload),
+  onSimulatorStatus: (callback) => ipcRenderer.on('simulator:status', callback),
+
+  // Webhooks
+  getWebhookStatus: () => ipcRenderer.invoke('webhooks:getStatus'),
+
   // Event listeners
   onOBSConnected: (callback) => ipcRenderer.on('obs:connected', callback),
   onOBSDisconnected: (callback) => ipcRenderer.on('obs:disconnected', callback),
@@ -54,12 +108,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   onTwitchAPIAuthenticated: (callback) => ipcRenderer.on('twitchapi:authenticated', callback),
   onTwitchAPILoggedOut: (callback) => ipcRenderer.on('twitchapi:loggedout', callback),
+  onEventSubStatus: (callback) => ipcRenderer.on('twitchapi:eventsub_status', callback),
 
   onChannelPointRedeem: (callback) => ipcRenderer.on('channel_point_redeem', callback),
   onCheer: (callback) => ipcRenderer.on('cheer', callback),
   onSubscriber: (callback) => ipcRenderer.on('subscriber', callback),
+  onGiftBomb: (callback) => ipcRenderer.on('gift_bomb', callback),
+  onFollow: (callback) => ipcRenderer.on('follow', callback),
+  onRaid: (callback) => ipcRenderer.on('raid', callback),
+  onStreamOnline: (callback) => ipcRenderer.on('stream_online', callback),
+  onStreamOffline: (callback) => ipcRenderer.on('stream_offline', callback),
 
   onActionTriggered: (callback) => ipcRenderer.on('action:triggered', callback),
+  onActionCooldown: (callback) => ipcRenderer.on('action:cooldown', callback),
+  onQueuesUpdated: (callback) => ipcRenderer.on('queues:updated', callback),
+  onActionsUpdated: (callback) => ipcRenderer.on('actions:updated', callback),
+  onVariablesUpdated: (callback) => ipcRenderer.on('variables:updated', callback),
+  onCountersUpdated: (callback) => ipcRenderer.on('counters:updated', callback),
+  onQuotesUpdated: (callback) => ipcRenderer.on('quotes:updated', callback),
   onLogMessage: (callback) => ipcRenderer.on('log:message', callback),
 
   // Sound playback
@@ -1,12 +1,40 @@
 const fs = require('fs').promises;
 const path = require('path');
+const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const TemplateEngine = require('./template-engine');
+const ConditionEvaluator = require('./condition-evaluator');
+const ActionQueueManager = require('./action-queue-manager');
+const CommandParser = require('./command-parser');
+const CustomCommandManager = require('./custom-command-manager');
+const VariableStore = require('./variable-store');
+const CounterManager = require('./counter-manager');
+const QuoteManager = require('./quote-manager');
+const crypto = require('crypto');
+
+// Bump this and add a case to migrateActions() whenever the actions.json format changes
+const ACTIONS_SCHEMA_VERSION = 2;
 
 class ActionManager {
     constructor() {
         this.actions = [];
         this.actionsFile = path.join(__dirname, '..', '..', 'data', 'actions.json');
         this.settingsFile = path.join(__dirname, '..', '..', 'data', 'settings.json');
+        this.variableStore = new VariableStore();
+        this.quotes = new QuoteManager(this);
+        this.templateEngine = new TemplateEngine(this.variableStore, this.quotes);
+        this.conditionEvaluator = new ConditionEvaluator(this.templateEngine);
+        this.queueManager = new ActionQueueManager((actionId, context) => this.executeAction(actionId, context));
+        this.commandParser = new CommandParser();
+        this.customCommands = new CustomCommandManager(this);
+        this.counters = new CounterManager(this);
+
+        // Timer trigger state
+        this.timers = new Map(); // actionId -> [{ handle, chatLinesAtLastFire }]
+        this.chatLineCount = 0;
+
+        // Cooldown state
+        this.cooldowns = new Map(); // actionId -> { globalUntil, users: Map(username -> until) }
 
         // Ensure data directory exists
         this.ensureDataDirectory();
@@ -25,14 +53,32 @@ class ActionManager {
     async loadActions() {
         try {
             const data = await fs.readFile(this.actionsFile, 'utf8');
-            this.actions = JSON.parse(data);
+            const { actions, schemaVersion } = this.migrateActions(JSON.parse(data));
+            this.actions = actions;
+
+            if (schemaVersion < ACTIONS_SCHEMA_VERSION) {
+                // Keep the original file around before rewriting it in the new format
+                const backupFile = await this.backupActionsFile(data, schemaVersion);
+                await this.saveActions();
+                console.log(`Migrated actions from schema v${schemaVersion} to v${ACTIONS_SCHEMA_VERSION} (backup: ${backupFile})`);
+
+                if (global.mainWindow) {
+                    global.mainWindow.webContents.send('log:message', {
+                        level: 'info',
+                        message: `Upgraded actions.json from schema v${schemaVersion} to v${ACTIONS_SCHEMA_VERSION}, original saved to ${path.basename(backupFile)}`
+                    });
+                }
+            }
+
             console.log(`Loaded ${this.actions.length} actions`);
+            this.startTimers();
             return this.actions;
         } catch (error) {
             if (error.code === 'ENOENT') {
                 // File doesn't exist, return empty array
                 console.log('Actions file not found, starting with empty actions');
                 this.actions = [];
+                this.startTimers();
                 return [];
             }
             console.error('Error loading actions:', error);
@@ -47,8 +93,17 @@ class ActionManager {
 
         try {
             await this.ensureDataDirectory();
-            await fs.writeFile(this.actionsFile, JSON.stringify(this.actions, null, 2));
+            const fileData = {
+                schemaVersion: ACTIONS_SCHEMA_VERSION,
+                actions: this.actions
+            };
+            await fs.writeFile(this.actionsFile, JSON.stringify(fileData, null, 2));
             console.log(`Saved ${this.actions.length} actions`);
+
+            // Bulk saves can replace any action, so reschedule everything
+            if (actions !== null) {
+                this.startTimers();
+            }
             return true;
         } catch (error) {
             console.error('Error saving actions:', error);
@@ -56,6 +111,76 @@ class ActionManager {
         }
     }
 
+    // Schema migrations
+    getActionsSchemaVersion(fileData) {
+        // v1 files were a bare array of actions
+        if (Array.isArray(fileData)) {
+            return 1;
+        }
+
+        if (fileData && Number.isInteger(fileData.schemaVersion) && Array.isArray(fileData.actions)) {
+            return fileData.schemaVersion;
+        }
+
+        throw new Error('Unrecognized actions file format');
+    }
+
+    migrateActions(fileData) {
+        const schemaVersion = this.getActionsSchemaVersion(fileData);
+        if (schemaVersion > ACTIONS_SCHEMA_VERSION) {
+            throw new Error(`Actions file uses schema v${schemaVersion}, but this version of Debbot only supports up to v${ACTIONS_SCHEMA_VERSION}`);
+        }
+
+        let actions = Array.isArray(fileData) ? fileData : fileData.actions;
+        let version = schemaVersion;
+
+        while (version < ACTIONS_SCHEMA_VERSION) {
+            switch (version) {
+                case 1:
+                    actions = actions.map(action => this.migrateLegacyAction(action));
+                    break;
+
+                default:
+                    throw new Error(`No migration path from actions schema v${version}`);
+            }
+            version++;
+        }
+
+        return { actions, schemaVersion };
+    }
+
+    migrateLegacyAction(action) {
+        // Actions already using the triggers[] format only need the defaults filled in
+        if (Array.isArray(action.triggers)) {
+            return { ...action, steps: action.steps || [] };
+        }
+
+        // Legacy actions stored a single trigger type plus its settings at the top level
+        const { trigger, command, reward, ...rest } = action;
+        const triggers = [];
+
+        if (trigger === 'command') {
+            triggers.push({ type: 'command', config: { command: command || '' } });
+        } else if (trigger === 'channel_points') {
+            triggers.push({ type: 'channel_points', config: { reward: reward || '' } });
+        } else if (trigger) {
+            triggers.push({ type: trigger, config: {} });
+        }
+
+        return {
+            ...rest,
+            triggers,
+            steps: rest.steps || []
+        };
+    }
+
+    async backupActionsFile(data, schemaVersion) {
+        const dataDir = path.dirname(this.actionsFile);
+        const backupFile = path.join(dataDir, `actions.v${schemaVersion}.backup-${Date.now()}.json`);
+        await fs.writeFile(backupFile, data);
+        return backupFile;
+    }
+
     async createAction(action) {
         // Ensure action has an ID
         if (!action.id) {
@@ -69,6 +194,7 @@ class ActionManager {
 
         this.actions.push(action);
         await this.saveActions();
+        this.scheduleActionTimers(action);
         console.log('Created action:', action.name);
         return action;
     }
@@ -84,6 +210,7 @@ class ActionManager {
 
         this.actions[index] = updatedAction;
         await this.saveActions();
+        this.scheduleActionTimers(updatedAction);
         console.log('Updated action:', updatedAction.name);
         return updatedAction;
     }
@@ -95,11 +222,20 @@ class ActionManager {
         }
 
         const deletedAction = this.actions.splice(index, 1)[0];
+        this.stopActionTimers(actionId);
+        this.cooldowns.delete(actionId);
         await this.saveActions();
         console.log('Deleted action:', deletedAction.name);
         return deletedAction;
     }
 
+    // Let the renderer refresh its list after changes it didn't make itself (e.g. !addcom in chat)
+    emitActionsUpdated() {
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('actions:updated', this.actions);
+        }
+    }
+
     getActions() {
         return this.actions;
     }
@@ -115,20 +251,44 @@ class ActionManager {
     }
 
     getActionsByCommand(command) {
-        return this.actions.filter(a => {
-            const commandTrigger = a.triggers.find(t => t.type === 'command');
-            if (!commandTrigger) return false;
-
-            // Normalize command comparison by removing ! prefix
-            const normalizedStoredCommand = commandTrigger.config.command.startsWith('!') ?
-                commandTrigger.config.command.substring(1) : commandTrigger.config.command;
-            const normalizedInputCommand = command.startsWith('!') ? command.substring(1) : command;
+        return this.actions.filter(a => this.getCommandTrigger(a, command));
+    }
 
-            return normalizedStoredCommand === normalizedInputCommand;
+    /**
+     * Find the command trigger of an action that answers to a command name or one of its aliases
+     */
+    getCommandTrigger(action, command) {
+        const normalize = name => String(name || '').trim().replace(/^!/, '').toLowerCase();
+        const inputCommand = normalize(command);
+
+        return (action.triggers || []).find(t => {
+            if (t.type !== 'command' || !t.config) return false;
+            const names = [t.config.command, ...(t.config.aliases || [])].map(normalize);
+            return names.includes(inputCommand);
         });
     }
 
     // Action execution
+    async triggerAction(action, context = {}) {
+        // Queued actions wait their turn, everything else runs immediately
+        if (action.queue) {
+            return this.queueManager.enqueue(action.queue, action, context);
+        }
+        return this.executeAction(action.id, context);
+    }
+
+    /**
+     * Run one of the actions an event matched. Queued actions are only enqueued, so
+     * waiting for their turn doesn't hold up the event's other actions; onError still
+     * gets their failure once they've run.
+     */
+    async dispatchAction(action, context, onError) {
+        const run = this.triggerAction(action, context).catch(onError);
+        if (!action.queue) {
+            await run;
+        }
+    }
+
     async executeAction(actionId, context = {}) {
         const action = this.getActionById(actionId);
         if (!action) {
@@ -138,14 +298,16 @@ class ActionManager {
         console.log(`Executing action: ${action.name}`);
 
         try {
-            for (const step of action.steps) {
-                await this.executeStep(step, context);
-            }
+            // Action variables are keyed by the running action
+            await this.executeSteps(action.steps, { ...context, actionId: action.id });
 
             // Emit success event
             if (global.mainWindow) {
                 global.mainWindow.webContents.send('action:triggered', action);
             }
+            if (global.controlServer) {
+                global.controlServer.broadcastEvent('action', { actionId: action.id, name: action.name, success: true });
+            }
 
             console.log(`Action ${action.name} executed successfully`);
             return true;
@@ -159,13 +321,36 @@ class ActionManager {
                     message: `Action "${action.name}" failed: ${error.message}`
                 });
             }
+            if (global.controlServer) {
+                global.controlServer.broadcastEvent('action', {
+                    actionId: action.id,
+                    name: action.name,
+                    success: false,
+                    error: error.message
+                });
+            }
 
             throw error;
         }
     }
 
+    async executeSteps(steps, context = {}) {
+        for (const step of steps || []) {
+            await this.executeStep(step, context);
+        }
+    }
+
     async executeStep(step, context = {}) {
-        const { type, value } = step;
+        const { type } = step;
+
+        // Conditional steps carry nested step lists instead of a value
+        if (type === 'if') {
+            await this.executeConditionalStep(step, context);
+            return;
+        }
+
+        // Fill in {variables} from the trigger context
+        const value = this.templateEngine.render(step.value, context);
 
         console.log(`Executing step: ${type} - ${value}`);
 
@@ -206,11 +391,61 @@ class ActionManager {
                 await this.executeDelayStep(value);
                 break;
 
+            case 'http_request':
+                await this.executeHttpRequestStep(step, value, context);
+                break;
+
+            case 'redemption_fulfill':
+                await this.executeRedemptionStatusStep('FULFILLED', context);
+                break;
+
+            case 'redemption_cancel':
+                await this.executeRedemptionStatusStep('CANCELED', context);
+                break;
+
+            case 'reward_create':
+                await this.executeRewardCreateStep(step, value, context);
+                break;
+
+            case 'reward_update':
+                await this.executeRewardUpdateStep(step, value, context);
+                break;
+
+            case 'reward_pause':
+                await this.executeRewardChangeStep(value, { is_paused: true }, 'Paused');
+                break;
+
+            case 'reward_resume':
+                await this.executeRewardChangeStep(value, { is_paused: false }, 'Resumed');
+                break;
+
+            case 'reward_enable':
+                await this.executeRewardChangeStep(value, { is_enabled: true }, 'Enabled');
+                break;
+
+            case 'reward_disable':
+                await this.executeRewardChangeStep(value, { is_enabled: false }, 'Disabled');
+                break;
+
+            case 'variable_set':
+            case 'variable_increment':
+            case 'variable_decrement':
+            case 'variable_reset':
+                await this.executeVariableStep(step, value, context);
+                break;
+
             default:
                 console.warn(`Unknown step type: ${type}`);
         }
     }
 
+    async executeConditionalStep(step, context) {
+        const passed = await this.conditionEvaluator.evaluate(step, context);
+        console.log(`Condition ${passed ? 'passed' : 'failed'}, running ${passed ? 'then' : 'else'} branch`);
+
+        await this.executeSteps(passed ? step.then : step.else, context);
+    }
+
     async executeOBSSceneStep(sceneName) {
         if (!global.obsClient || !global.obsClient.isConnected()) {
             throw new Error('OBS not connected');
@@ -352,189 +587,988 @@ class ActionManager {
         await new Promise(resolve => setTimeout(resolve, delay));
     }
 
-    // Trigger handling
-    async handleCommandTrigger(commandData) {
-        const { command, isBroadcaster, isMod } = commandData;
-
-        const actions = this.getActionsByCommand(command);
-        if (actions.length === 0) {
-            return;
+    async executeHttpRequestStep(step, url, context) {
+        if (!/^https?:\/\//i.test(url)) {
+            throw new Error(`Invalid request URL: ${url}`);
         }
 
-        // Execute all matching actions that the user has permission for
-        for (const action of actions) {
-            try {
-                // Check permissions
-                if (!this.checkUserPermissions(action, isBroadcaster, isMod)) {
-                    console.log(`User does not have permission to execute action: ${action.name}`);
-                    continue;
-                }
+        const method = (step.method || 'GET').toUpperCase();
+        const headers = this.parseHttpHeaders(this.templateEngine.render(step.headers || '', context));
+        const body = this.templateEngine.render(step.body || '', context);
+        const timeoutSeconds = parseFloat(step.timeout) || 10;
+
+        const config = {
+            method,
+            url,
+            headers,
+            timeout: timeoutSeconds * 1000,
+            // Keep error statuses so later steps can branch on {response.status}
+            validateStatus: () => true
+        };
 
-                await this.executeAction(action.id, commandData);
-            } catch (error) {
-                console.error(`Failed to execute action ${action.name}:`, error);
+        if (body && !['GET', 'HEAD'].includes(method)) {
+            config.data = body;
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = this.isJSON(body) ? 'application/json' : 'text/plain';
             }
         }
+
+        let response;
+        try {
+            response = await axios(config);
+        } catch (error) {
+            const reason = error.code === 'ECONNABORTED' ? `timed out after ${timeoutSeconds}s` : error.message;
+            throw new Error(`HTTP ${method} ${url} failed: ${reason}`);
+        }
+
+        // Expose the result to the rest of the action as {response.status}, {response.data.field}, ...
+        context.response = {
+            status: response.status,
+            ok: response.status >= 200 && response.status < 300,
+            data: response.data
+        };
+
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('log:message', {
+                level: context.response.ok ? 'success' : 'warn',
+                message: `HTTP ${method} ${url} returned ${response.status}`
+            });
+        }
     }
 
-    checkUserPermissions(action, isBroadcaster, isMod) {
-        // If no permissions specified, allow all
-        if (!action.permissions) {
-            return true;
+    async executeVariableStep(step, name, context) {
+        const scope = step.scope || 'global';
+        const store = this.variableStore;
+
+        // User variables belong to whoever triggered the action, unless the step names someone else
+        let key = '';
+        if (scope === 'user') {
+            key = this.templateEngine.render(step.user || '', context).trim() || store.getUserKey(context);
+        } else if (scope === 'action') {
+            key = context.actionId;
         }
 
-        // Check user role permissions
-        if (isBroadcaster && action.permissions.broadcaster) {
-            return true;
+        switch (step.type) {
+            case 'variable_set':
+                await store.set(scope, key, name, this.templateEngine.render(step.newValue || '', context));
+                break;
+            case 'variable_increment':
+            case 'variable_decrement': {
+                const amount = this.templateEngine.render(String(step.amount || '1'), context);
+                const number = Number(amount);
+                if (amount.trim() === '' || !Number.isFinite(number)) {
+                    throw new Error(`Can't change ${name} by "${amount}", it is not a number`);
+                }
+                await store.increment(scope, key, name, step.type === 'variable_decrement' ? -number : number);
+                break;
+            }
+            default:
+                await store.reset(scope, key, name);
         }
+    }
 
-        if (isMod && action.permissions.moderator) {
-            return true;
+    async executeRedemptionStatusStep(status, context) {
+        if (!context.id || !context.rewardId) {
+            throw new Error('This step only works for actions triggered by a channel point redeem');
         }
 
-        if (!isBroadcaster && !isMod && action.permissions.viewer) {
-            return true;
+        const twitchAPIClient = this.getTwitchAPIClient();
+        try {
+            await twitchAPIClient.updateRedemptionStatus(context.rewardId, context.id, status);
+        } catch (error) {
+            throw new Error(`Failed to mark redemption ${status.toLowerCase()}: ${this.getTwitchErrorMessage(error)}`);
         }
 
-        return false;
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('log:message', {
+                level: 'success',
+                message: status === 'CANCELED' ?
+                    `Refunded "${context.rewardTitle}" for ${context.userName}` :
+                    `Fulfilled "${context.rewardTitle}" for ${context.userName}`
+            });
+        }
     }
 
-    // Channel Point trigger handling
-    async handleChannelPointTrigger(channelPointData) {
-        const { rewardId, rewardTitle, userName, userId, anyReward } = channelPointData;
-
-        // Get actions that match this redeem
-        let actions = [];
+    async executeRewardCreateStep(step, title, context) {
+        const twitchAPIClient = this.getTwitchAPIClient();
+        const cost = parseInt(this.templateEngine.render(String(step.cost || ''), context));
+        if (!title || isNaN(cost) || cost < 1) {
+            throw new Error('Creating a reward needs a title and a cost of at least 1');
+        }
 
-        if (anyReward) {
-            // This redeem came from sampling manageable rewards for "any reward" actions
-            actions = this.getActionsByChannelPoints(''); // Empty string = any reward
-        } else {
-            // This is a specific reward redeem
-            actions = this.getActionsByChannelPoints(rewardId);
+        let reward;
+        try {
+            reward = await twitchAPIClient.createCustomReward({
+                title,
+                cost,
+                prompt: this.templateEngine.render(step.prompt || '', context)
+            });
+        } catch (error) {
+            throw new Error(`Failed to create reward "${title}": ${this.getTwitchErrorMessage(error)}`);
         }
 
-        if (actions.length === 0) {
-            return;
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('log:message', {
+                level: 'success',
+                message: `Created reward "${reward.title}" (${reward.cost} points)`
+            });
         }
+    }
 
-        console.log(`Channel point redeemed: ${rewardTitle} by ${userName}`);
+    async executeRewardUpdateStep(step, rewardName, context) {
+        const changes = {};
 
-        // Execute all matching actions
-        for (const action of actions) {
-            try {
-                await this.executeAction(action.id, channelPointData);
-            } catch (error) {
-                console.error(`Failed to execute channel point action ${action.name}:`, error);
+        const newTitle = this.templateEngine.render(step.title || '', context);
+        if (newTitle) {
+            changes.title = newTitle;
+        }
+
+        const cost = this.templateEngine.render(String(step.cost || ''), context);
+        if (cost) {
+            changes.cost = parseInt(cost);
+            if (isNaN(changes.cost) || changes.cost < 1) {
+                throw new Error(`Invalid reward cost: ${cost}`);
             }
         }
-    }
 
-    getActionsByChannelPoints(rewardId) {
-        return this.actions.filter(a => {
-            const channelPointTrigger = a.triggers.find(t => t.type === 'channel_points');
-            if (!channelPointTrigger) return false;
+        if (step.prompt) {
+            changes.prompt = this.templateEngine.render(step.prompt, context);
+        }
 
-            // If no specific reward is set, trigger on any reward
-            if (!channelPointTrigger.config.reward) return true;
+        if (Object.keys(changes).length === 0) {
+            throw new Error('Update reward step has nothing to change');
+        }
 
-            // Otherwise, match the specific reward ID
-            return channelPointTrigger.config.reward === rewardId;
-        });
+        await this.executeRewardChangeStep(rewardName, changes, 'Updated');
     }
 
-    // Cheer trigger handling
-    async handleCheerTrigger(cheerData) {
-        const { userName, userId, message, bits, isAnonymous } = cheerData;
+    async executeRewardChangeStep(rewardName, changes, description) {
+        const twitchAPIClient = this.getTwitchAPIClient();
+        const reward = await this.findReward(rewardName);
 
-        const actions = this.getActionsByTrigger('cheer');
-        if (actions.length === 0) {
-            return;
+        try {
+            await twitchAPIClient.updateCustomReward(reward.id, changes);
+        } catch (error) {
+            throw new Error(`Failed to update reward "${reward.title}": ${this.getTwitchErrorMessage(error)}`);
         }
 
-        console.log(`Cheer received: ${bits} bits from ${userName || 'Anonymous'}`);
-
-        // Execute all cheer actions
-        for (const action of actions) {
-            try {
-                await this.executeAction(action.id, cheerData);
-            } catch (error) {
-                console.error(`Failed to execute cheer action ${action.name}:`, error);
-            }
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('log:message', {
+                level: 'success',
+                message: `${description} reward "${reward.title}"`
+            });
         }
     }
 
-    // Subscriber trigger handling
-    async handleSubscriberTrigger(subscriberData) {
-        const { userName, userId, tier, isGift, gifterName, gifterId, cumulativeMonths, streakMonths } = subscriberData;
+    async findReward(rewardName) {
+        const twitchAPIClient = this.getTwitchAPIClient();
+        const rewards = await twitchAPIClient.getCustomRewards(twitchAPIClient.getBroadcasterUserId());
+        const name = (rewardName || '').trim().toLowerCase();
 
-        const actions = this.getActionsByTrigger('subscriber');
-        if (actions.length === 0) {
-            return;
+        const reward = rewards.find(r => r.id === rewardName || r.title.toLowerCase() === name);
+        if (!reward) {
+            throw new Error(`Reward not found: ${rewardName}`);
         }
+        return reward;
+    }
 
-        let message = '';
-        if (isGift) {
-            message = `${userName} received a gifted subscription from ${gifterName}`;
-        } else if (cumulativeMonths > 1) {
-            message = `${userName} resubscribed for ${cumulativeMonths} months`;
-        } else {
-            message = `${userName} subscribed`;
+    getTwitchAPIClient() {
+        if (!global.twitchAPIClient || !global.twitchAPIClient.isAuthenticated()) {
+            throw new Error('Twitch API not authenticated');
         }
+        return global.twitchAPIClient;
+    }
 
-        console.log(`Subscriber event: ${message}`);
+    getTwitchErrorMessage(error) {
+        // Helix explains errors (e.g. reward not created by this app) in the response body
+        return error.response?.data?.message || error.message;
+    }
 
-        // Execute all subscriber actions
-        for (const action of actions) {
-            try {
-                await this.executeAction(action.id, subscriberData);
-            } catch (error) {
-                console.error(`Failed to execute subscriber action ${action.name}:`, error);
+    parseHttpHeaders(text) {
+        // One "Name: value" header per line
+        const headers = {};
+        text.split(/\r?\n/).forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
             }
-        }
+        });
+        return headers;
     }
 
-    // MIDI trigger handling
-    async handleMIDITrigger(midiData) {
-        const { type, note, controller, value, velocity, channel } = midiData;
-
-        const actions = this.getActionsByMIDITrigger(midiData);
-        if (actions.length === 0) {
-            return;
+    isJSON(text) {
+        try {
+            JSON.parse(text);
+            return true;
+        } catch (error) {
+            return false;
         }
+    }
 
-        console.log(`MIDI trigger: ${type} - ${this.getMIDIMessageDescription(midiData)}`);
+    getTemplateVariables() {
+        return this.templateEngine.getAvailableVariables();
+    }
 
-        // Execute all matching MIDI actions
-        for (const action of actions) {
-            try {
-                await this.executeAction(action.id, midiData);
-            } catch (error) {
-                console.error(`Failed to execute MIDI action ${action.name}:`, error);
-            }
-        }
+    // Trigger handling
+    /**
+     * Commands handleCommandTrigger hands to built-ins before counters get a look
+     */
+    isBuiltInCommand(name) {
+        return this.customCommands.isManagementCommand(name) || this.quotes.isQuoteCommand(name);
     }
 
-    getActionsByMIDITrigger(midiData) {
-        const { type, note, controller, value, velocity, channel } = midiData;
+    async handleCommandTrigger(commandData) {
+        const { command } = commandData;
 
-        return this.actions.filter(action => {
-            const midiTrigger = action.triggers.find(t => t.type === 'midi');
-            if (!midiTrigger) return false;
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('command', commandData);
+        }
 
-            const config = midiTrigger.config;
+        // !addcom, !editcom, !delcom and !commands, unless an action already uses the name
+        if (await this.customCommands.handleCommand(commandData)) {
+            return;
+        }
 
-            // Check message type
-            if (config.messageType !== type) return false;
+        // !quote and its subcommands, unless an action already uses the name
+        if (await this.quotes.handleCommand(commandData)) {
+            return;
+        }
 
-            // Check channel (if specified)
-            if (config.channel !== undefined && config.channel !== null && config.channel !== channel) {
-                return false;
-            }
+        // Counter commands (!deaths, !deaths+, ...) still let actions on the same command run,
+        // e.g. to play a sound on every death
+        await this.counters.handleCommand(commandData);
 
-            // Check specific parameters based on message type
-            switch (type) {
-                case 'noteon':
+        const actions = this.getActionsByCommand(command);
+        if (actions.length === 0) {
+            return;
+        }
+
+        // Execute all matching actions that the user has permission for
+        for (const action of actions) {
+            try {
+                // Check permissions
+                if (!this.checkUserPermissions(action, commandData)) {
+                    console.log(`User does not have permission to execute action: ${action.name}`);
+                    continue;
+                }
+
+                // Check cooldowns
+                const remaining = this.getCooldownRemaining(action, commandData);
+                if (remaining > 0) {
+                    console.log(`Action ${action.name} is on cooldown for ${remaining}s`);
+                    await this.sendCooldownReply(action, commandData, remaining);
+                    continue;
+                }
+
+                // Check declared arguments; a bad call gets a usage reply and doesn't use up the cooldown
+                const trigger = this.getCommandTrigger(action, command);
+                const parsed = this.commandParser.parseArguments(trigger.config.args, commandData.args);
+                if (!parsed.valid) {
+                    console.log(`Invalid arguments for ${action.name}: ${parsed.error}`);
+                    await this.sendUsageReply(trigger, commandData, parsed.error);
+                    continue;
+                }
+
+                this.startCooldown(action, commandData);
+                await this.dispatchAction(action, { ...commandData, namedArgs: parsed.values }, error => {
+                    console.error(`Failed to execute action ${action.name}:`, error);
+                });
+            } catch (error) {
+                console.error(`Failed to execute action ${action.name}:`, error);
+            }
+        }
+    }
+
+    // Chat message trigger handling
+    async handleChatMessageTrigger(messageData) {
+        for (const action of this.actions) {
+            // An action runs at most once per message, using the first trigger that matches
+            let match = null;
+            for (const trigger of action.triggers || []) {
+                if (trigger.type === 'chat_message' && this.matchesChatRoles(trigger.config, messageData)) {
+                    match = this.matchChatMessage(trigger.config, messageData.message);
+                    if (match) break;
+                }
+            }
+            if (!match) {
+                continue;
+            }
+
+            try {
+                if (!this.checkUserPermissions(action, messageData)) {
+                    continue;
+                }
+
+                // No cooldown reply here, it would turn emote spam into bot spam
+                if (this.getCooldownRemaining(action, messageData) > 0) {
+                    continue;
+                }
+
+                this.startCooldown(action, messageData);
+                // {groups.1} is the first capture group, named groups are available as {groups.name}
+                const groups = Object.assign([...match], match.groups || {});
+                await this.dispatchAction(action, { ...messageData, match: match[0], groups }, error => {
+                    console.error(`Failed to execute chat message action ${action.name}:`, error);
+                });
+            } catch (error) {
+                console.error(`Failed to execute chat message action ${action.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Match a chat message against a trigger's pattern. Returns a RegExp-style
+     * match array (full match first, then capture groups) or null.
+     */
+    matchChatMessage(config = {}, message) {
+        let regex;
+        try {
+            regex = this.getChatMessageRegex(config);
+        } catch (error) {
+            console.error(`Invalid chat message pattern "${config.pattern}":`, error.message);
+            return null;
+        }
+        return regex ? regex.exec(message || '') : null;
+    }
+
+    getChatMessageRegex(config = {}) {
+        const pattern = config.pattern || '';
+        if (!pattern) {
+            return null;
+        }
+
+        const flags = config.caseSensitive ? '' : 'i';
+        const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        switch (config.matchType) {
+            case 'regex':
+                return new RegExp(pattern, flags);
+            case 'word':
+                // Whole words only, so "gg" doesn't match "eggs"
+                return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, `${flags}u`);
+            default:
+                return new RegExp(escaped, flags);
+        }
+    }
+
+    matchesChatRoles(config = {}, messageData) {
+        // No roles selected means everyone
+        const roles = Array.isArray(config.roles) ? config.roles : [];
+        if (roles.length === 0) {
+            return true;
+        }
+
+        return (roles.includes('broadcaster') && messageData.isBroadcaster) ||
+            (roles.includes('moderator') && messageData.isMod) ||
+            (roles.includes('vip') && messageData.isVip) ||
+            (roles.includes('subscriber') && messageData.isSubscriber) ||
+            (roles.includes('viewer') && !messageData.isBroadcaster && !messageData.isMod && !messageData.isVip && !messageData.isSubscriber);
+    }
+
+    // Cooldown handling
+    getCooldownRemaining(action, commandData) {
+        const cooldown = action.cooldown;
+        if (!cooldown) {
+            return 0;
+        }
+
+        // Mods and the broadcaster can optionally skip cooldowns
+        if ((commandData.isBroadcaster && cooldown.bypassBroadcaster) ||
+            (commandData.isMod && cooldown.bypassMods)) {
+            return 0;
+        }
+
+        const state = this.cooldowns.get(action.id);
+        if (!state) {
+            return 0;
+        }
+
+        const now = Date.now();
+        const userKey = (commandData.username || '').toLowerCase();
+        const userUntil = state.users.get(userKey) || 0;
+        const until = Math.max(state.globalUntil, userUntil);
+
+        return until > now ? Math.ceil((until - now) / 1000) : 0;
+    }
+
+    startCooldown(action, commandData) {
+        const globalSeconds = parseFloat(action.cooldown?.global) || 0;
+        const userSeconds = parseFloat(action.cooldown?.user) || 0;
+        if (globalSeconds <= 0 && userSeconds <= 0) {
+            return;
+        }
+
+        const now = Date.now();
+        const state = this.cooldowns.get(action.id) || { globalUntil: 0, users: new Map() };
+
+        // Drop expired per-user entries so the map doesn't grow forever
+        for (const [user, until] of state.users) {
+            if (until <= now) {
+                state.users.delete(user);
+            }
+        }
+
+        if (globalSeconds > 0) {
+            state.globalUntil = now + globalSeconds * 1000;
+        }
+        if (userSeconds > 0) {
+            state.users.set((commandData.username || '').toLowerCase(), now + userSeconds * 1000);
+        }
+
+        this.cooldowns.set(action.id, state);
+
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('action:cooldown', {
+                actionId: action.id,
+                ...this.getActionCooldownStatus(action.id)
+            });
+        }
+    }
+
+    async sendCooldownReply(action, commandData, remaining) {
+        const reply = action.cooldown?.reply;
+        if (!reply || !global.twitchClient || !global.twitchClient.isConnected()) {
+            return;
+        }
+
+        try {
+            const message = this.templateEngine.render(reply, { ...commandData, remaining });
+            await global.twitchClient.sendMessage(message);
+        } catch (error) {
+            console.error(`Failed to send cooldown reply for ${action.name}:`, error);
+        }
+    }
+
+    async sendUsageReply(trigger, commandData, error) {
+        if (!global.twitchClient || !global.twitchClient.isConnected()) {
+            return;
+        }
+
+        const usage = this.commandParser.formatUsage(trigger.config.command, trigger.config.args);
+        try {
+            await global.twitchClient.sendMessage(`@${commandData.displayName || commandData.username} ${error}. Usage: ${usage}`);
+        } catch (sendError) {
+            console.error(`Failed to send usage reply for ${usage}:`, sendError);
+        }
+    }
+
+    getActionCooldownStatus(actionId) {
+        const state = this.cooldowns.get(actionId);
+        if (!state) {
+            return { globalUntil: 0, userUntil: [] };
+        }
+
+        const now = Date.now();
+        return {
+            globalUntil: state.globalUntil > now ? state.globalUntil : 0,
+            userUntil: Array.from(state.users.values()).filter(until => until > now)
+        };
+    }
+
+    getCooldownStatus() {
+        const status = {};
+        for (const actionId of this.cooldowns.keys()) {
+            status[actionId] = this.getActionCooldownStatus(actionId);
+        }
+        return status;
+    }
+
+    /**
+     * Check whether a user may run an action. `user` carries the chat roles
+     * (username, isBroadcaster, isMod, isVip, isSubscriber, isFounder, subMonths).
+     */
+    checkUserPermissions(action, user = {}) {
+        // If no permissions specified, allow all
+        const permissions = action.permissions;
+        if (!permissions) {
+            return true;
+        }
+
+        const { isBroadcaster, isMod, isVip, isSubscriber, isFounder } = user;
+        const username = (user.username || '').toLowerCase();
+        const listed = list => Array.isArray(list) && list.some(name => name.replace(/^@/, '').toLowerCase() === username);
+
+        // The deny list beats every role except the broadcaster, who can't lock themselves out
+        if (username && listed(permissions.denyUsers) && !isBroadcaster) {
+            return false;
+        }
+
+        if (username && listed(permissions.allowUsers)) {
+            return true;
+        }
+
+        // Check user role permissions
+        if (isBroadcaster && permissions.broadcaster) {
+            return true;
+        }
+
+        if (isMod && permissions.moderator) {
+            return true;
+        }
+
+        if (isVip && permissions.vip) {
+            return true;
+        }
+
+        if (isFounder && permissions.founder) {
+            return true;
+        }
+
+        if (isSubscriber && permissions.subscriber && (parseInt(user.subMonths) || 0) >= (parseInt(permissions.minSubMonths) || 0)) {
+            return true;
+        }
+
+        if (!isBroadcaster && !isMod && permissions.viewer) {
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * EventSub redemptions carry no badges, so use the roles from the redeemer's
+     * last chat message (a redeemer who hasn't chatted counts as a viewer)
+     */
+    getRedeemerRoles(channelPointData) {
+        const username = channelPointData.userLogin || channelPointData.userName || '';
+        const roles = global.twitchClient ? global.twitchClient.getChatterRoles(username) : null;
+        const broadcaster = global.twitchAPIClient ? global.twitchAPIClient.getUser() : null;
+
+        return {
+            ...(roles || {}),
+            username,
+            isBroadcaster: Boolean(broadcaster && broadcaster.id === channelPointData.userId) || Boolean(roles && roles.isBroadcaster)
+        };
+    }
+
+    // Channel Point trigger handling
+    async handleChannelPointTrigger(channelPointData) {
+        const { rewardId, rewardTitle, userName, userId, anyReward } = channelPointData;
+
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('channel_points', channelPointData);
+        }
+
+        // Get actions that match this redeem
+        let actions = [];
+
+        if (anyReward) {
+            // This redeem came from sampling manageable rewards for "any reward" actions
+            actions = this.getActionsByChannelPoints(''); // Empty string = any reward
+        } else {
+            // This is a specific reward redeem
+            actions = this.getActionsByChannelPoints(rewardId);
+        }
+
+        if (actions.length === 0) {
+            return;
+        }
+
+        console.log(`Channel point redeemed: ${rewardTitle} by ${userName}`);
+
+        const redeemer = this.getRedeemerRoles(channelPointData);
+
+        // Execute all matching actions
+        for (const action of actions) {
+            if (!this.checkUserPermissions(action, redeemer)) {
+                console.log(`${userName} does not have permission to execute action: ${action.name}`);
+                if (action.refund?.enabled) {
+                    await this.refundRedemption(action, channelPointData, new Error(`${userName} is not allowed to use this reward`));
+                }
+                continue;
+            }
+
+            await this.dispatchAction(action, channelPointData, async error => {
+                console.error(`Failed to execute channel point action ${action.name}:`, error);
+                if (action.refund?.enabled) {
+                    await this.refundRedemption(action, channelPointData, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Give the viewer their points back when a channel point action fails or they may not use it
+     */
+    async refundRedemption(action, channelPointData, failure) {
+        const { id, rewardId, rewardTitle, userName } = channelPointData;
+        if (!id || !rewardId) {
+            return;
+        }
+
+        try {
+            await this.getTwitchAPIClient().updateRedemptionStatus(rewardId, id, 'CANCELED');
+        } catch (error) {
+            const message = `Could not refund "${rewardTitle}" for ${userName} after action "${action.name}" failed: ${this.getTwitchErrorMessage(error)}`;
+            console.error(message);
+            if (global.mainWindow) {
+                global.mainWindow.webContents.send('log:message', { level: 'error', message });
+            }
+            return;
+        }
+
+        console.log(`Refunded "${rewardTitle}" for ${userName} (${action.name}): ${failure.message}`);
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('log:message', {
+                level: 'warn',
+                message: `Refunded "${rewardTitle}" for ${userName} because action "${action.name}" did not run: ${failure.message}`
+            });
+        }
+
+        // Optional chat explanation; {error} holds the reason the action failed
+        const reply = this.templateEngine.render(action.refund.message || '', { ...channelPointData, error: failure.message });
+        if (reply && reply.trim()) {
+            try {
+                await this.executeTwitchMessageStep(reply);
+            } catch (error) {
+                console.error('Failed to send refund message:', error);
+            }
+        }
+    }
+
+    getActionsByChannelPoints(rewardId) {
+        return this.actions.filter(a => {
+            const channelPointTrigger = a.triggers && a.triggers.find(t => t.type === 'channel_points');
+            if (!channelPointTrigger) return false;
+
+            // If no specific reward is set, trigger on any reward
+            if (!channelPointTrigger.config.reward) return true;
+
+            // Otherwise, match the specific reward ID
+            return channelPointTrigger.config.reward === rewardId;
+        });
+    }
+
+    // Cheer trigger handling
+    async handleCheerTrigger(cheerData) {
+        const { userName, userId, message, bits, isAnonymous } = cheerData;
+
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('cheer', cheerData);
+        }
+
+        const actions = this.getActionsByCheer(bits);
+        if (actions.length === 0) {
+            return;
+        }
+
+        console.log(`Cheer received: ${bits} bits from ${userName || 'Anonymous'}`);
+
+        // Execute all cheer actions
+        for (const action of actions) {
+            await this.dispatchAction(action, cheerData, error => {
+                console.error(`Failed to execute cheer action ${action.name}:`, error);
+            });
+        }
+    }
+
+    /**
+     * Cheer triggers can require a bit range or an exact amount. Triggers marked
+     * "best match only" compete with each other: only the highest tier satisfied
+     * by the cheer runs, so 500 bits doesn't also fire the 100 and 1 bit alerts.
+     */
+    getActionsByCheer(bits) {
+        const alwaysRun = [];
+        const bestMatches = [];
+        let bestThreshold = -1;
+
+        for (const action of this.actions) {
+            const triggers = (action.triggers || []).filter(t => t.type === 'cheer' && this.matchesBitsAmount(t.config, bits));
+            if (triggers.length === 0) {
+                continue;
+            }
+
+            if (triggers.some(t => !t.config?.bestMatchOnly)) {
+                alwaysRun.push(action);
+                continue;
+            }
+
+            const threshold = Math.max(...triggers.map(t => this.getCheerThreshold(t.config)));
+            if (threshold > bestThreshold) {
+                bestMatches.length = 0;
+                bestThreshold = threshold;
+            }
+            if (threshold === bestThreshold) {
+                bestMatches.push(action);
+            }
+        }
+
+        return [...alwaysRun, ...bestMatches];
+    }
+
+    matchesBitsAmount(config = {}, bits) {
+        const exactBits = parseInt(config.exactBits) || 0;
+        if (exactBits > 0) {
+            return bits === exactBits;
+        }
+
+        return this.matchesRange(bits, config.minBits, config.maxBits);
+    }
+
+    getCheerThreshold(config = {}) {
+        // An exact amount is always at least as specific as any range it falls in
+        return parseInt(config.exactBits) || parseInt(config.minBits) || 0;
+    }
+
+    // Subscriber trigger handling
+    async handleSubscriberTrigger(subscriberData) {
+        const { userName, userId, tier, isGift, gifterName, gifterId, cumulativeMonths, streakMonths } = subscriberData;
+
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('subscriber', subscriberData);
+        }
+
+        const actions = this.actions.filter(a => {
+            return a.triggers && a.triggers.some(t => t.type === 'subscriber' && this.matchesSubscriberFilters(t.config, subscriberData));
+        });
+        if (actions.length === 0) {
+            return;
+        }
+
+        let message = '';
+        if (isGift) {
+            message = `${userName} received a gifted subscription from ${gifterName}`;
+        } else if (cumulativeMonths > 1) {
+            message = `${userName} resubscribed for ${cumulativeMonths} months`;
+        } else {
+            message = `${userName} subscribed`;
+        }
+
+        console.log(`Subscriber event: ${message}`);
+
+        // Execute all subscriber actions
+        for (const action of actions) {
+            await this.dispatchAction(action, subscriberData, error => {
+                console.error(`Failed to execute subscriber action ${action.name}:`, error);
+            });
+        }
+    }
+
+    matchesSubscriberFilters(config = {}, subscriberData) {
+        // Triggers can skip recipients of community gifts so a gift bomb doesn't fire once per recipient
+        if (subscriberData.isCommunityGift && config.ignoreCommunityGifts) {
+            return false;
+        }
+
+        // Empty lists mean "any"; Prime is checked separately from the tier 1000 it is reported as
+        const tier = subscriberData.isPrime ? 'prime' : String(subscriberData.tier);
+        if (Array.isArray(config.tiers) && config.tiers.length > 0 && !config.tiers.includes(tier)) {
+            return false;
+        }
+
+        const cumulativeMonths = parseInt(subscriberData.cumulativeMonths) || 1;
+        let kind = 'new';
+        if (subscriberData.isGift) {
+            kind = 'gift';
+        } else if (subscriberData.isResub || cumulativeMonths > 1) {
+            kind = 'resub';
+        }
+        if (Array.isArray(config.kinds) && config.kinds.length > 0 && !config.kinds.includes(kind)) {
+            return false;
+        }
+
+        return this.matchesRange(cumulativeMonths, config.minMonths, config.maxMonths) &&
+            this.matchesRange(parseInt(subscriberData.streakMonths) || 0, config.minStreak, config.maxStreak);
+    }
+
+    matchesRange(value, min, max) {
+        const minValue = parseInt(min) || 0;
+        const maxValue = parseInt(max) || 0;
+        return value >= minValue && (maxValue === 0 || value <= maxValue);
+    }
+
+    // Gift bomb trigger handling
+    async handleGiftBombTrigger(giftData) {
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('gift_bomb', giftData);
+        }
+
+        console.log(`Gift bomb: ${giftData.isAnonymous ? 'Anonymous' : giftData.userName} gifted ${giftData.total} subs`);
+
+        const actions = this.actions.filter(a => {
+            return a.triggers && a.triggers.some(t =>
+                t.type === 'gift_bomb' && giftData.total >= (parseInt(t.config?.minGifts) || 2)
+            );
+        });
+
+        await this.runTriggerActions(actions, giftData, 'gift bomb');
+    }
+
+    // Follow trigger handling
+    async handleFollowTrigger(followData) {
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('follow', followData);
+        }
+
+        console.log(`Follow received: ${followData.userName}`);
+        await this.runTriggerActions(this.getActionsByTrigger('follow'), followData, 'follow');
+    }
+
+    // Raid trigger handling
+    async handleRaidTrigger(raidData) {
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('raid', raidData);
+        }
+
+        console.log(`Raid received: ${raidData.userName} with ${raidData.viewers} viewers`);
+
+        // Raid triggers can be limited to a viewer range so small and big raids get different responses
+        const actions = this.actions.filter(a => {
+            return a.triggers && a.triggers.some(t => t.type === 'raid' && this.matchesViewerRange(t.config, raidData.viewers));
+        });
+
+        await this.runTriggerActions(actions, raidData, 'raid');
+    }
+
+    matchesViewerRange(config = {}, viewers) {
+        return this.matchesRange(viewers, config.minViewers, config.maxViewers);
+    }
+
+    // Stream online/offline trigger handling
+    async handleStreamOnlineTrigger(streamData) {
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('stream_online', streamData);
+        }
+
+        console.log('Stream went online');
+        await this.runTriggerActions(this.getActionsByTrigger('stream_online'), streamData, 'stream online');
+    }
+
+    async handleStreamOfflineTrigger(streamData) {
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('stream_offline', streamData);
+        }
+
+        console.log('Stream went offline');
+        await this.runTriggerActions(this.getActionsByTrigger('stream_offline'), streamData, 'stream offline');
+    }
+
+    async runTriggerActions(actions, context, description) {
+        for (const action of actions) {
+            await this.dispatchAction(action, context, error => {
+                console.error(`Failed to execute ${description} action ${action.name}:`, error);
+            });
+        }
+    }
+
+    // Webhook trigger handling
+    async handleWebhookTrigger(webhookPath, secret, requestData) {
+        const actions = this.getActionsByWebhook(webhookPath);
+        if (actions.length === 0) {
+            return { status: 404, response: { success: false, error: `No webhook registered for ${webhookPath}` } };
+        }
+
+        // Each action has its own secret, so only run the ones this caller is allowed to run
+        const authorized = actions.filter(action => {
+            const trigger = action.triggers.find(t => t.type === 'webhook' && this.normalizeWebhookPath(t.config.path) === this.normalizeWebhookPath(webhookPath));
+            return this.isValidWebhookSecret(trigger.config.secret, secret);
+        });
+
+        if (authorized.length === 0) {
+            return { status: 401, response: { success: false, error: 'Invalid webhook secret' } };
+        }
+
+        console.log(`Webhook received: ${webhookPath} (${authorized.length} action(s))`);
+
+        const context = {
+            webhookPath: this.normalizeWebhookPath(webhookPath),
+            method: requestData.method,
+            body: requestData.body,
+            query: requestData.query
+        };
+
+        const results = [];
+        for (const action of authorized) {
+            // Don't keep the caller (or the other actions) waiting for a queue to get to this one
+            if (action.queue) {
+                await this.dispatchAction(action, context, error => {
+                    console.error(`Failed to execute webhook action ${action.name}:`, error);
+                });
+                results.push({ id: action.id, name: action.name, success: true, queued: true });
+                continue;
+            }
+
+            try {
+                await this.triggerAction(action, context);
+                results.push({ id: action.id, name: action.name, success: true });
+            } catch (error) {
+                console.error(`Failed to execute webhook action ${action.name}:`, error);
+                results.push({ id: action.id, name: action.name, success: false, error: error.message });
+            }
+        }
+
+        return {
+            status: 200,
+            response: {
+                success: results.every(result => result.success),
+                actions: results
+            }
+        };
+    }
+
+    getActionsByWebhook(webhookPath) {
+        const normalizedPath = this.normalizeWebhookPath(webhookPath);
+
+        return this.actions.filter(a => {
+            return a.triggers && a.triggers.some(t =>
+                t.type === 'webhook' && this.normalizeWebhookPath(t.config.path) === normalizedPath
+            );
+        });
+    }
+
+    normalizeWebhookPath(webhookPath) {
+        return (webhookPath || '').trim().replace(/\/{2,}/g, '/').replace(/^\/+|\/+$/g, '').toLowerCase();
+    }
+
+    isValidWebhookSecret(expectedSecret, secret) {
+        if (!expectedSecret) {
+            return false;
+        }
+
+        const expected = Buffer.from(String(expectedSecret));
+        const received = Buffer.from(String(secret || ''));
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    // MIDI trigger handling
+    async handleMIDITrigger(midiData) {
+        const { type, note, controller, value, velocity, channel } = midiData;
+
+        const actions = this.getActionsByMIDITrigger(midiData);
+        if (actions.length === 0) {
+            return;
+        }
+
+        console.log(`MIDI trigger: ${type} - ${this.getMIDIMessageDescription(midiData)}`);
+
+        // Execute all matching MIDI actions
+        for (const action of actions) {
+            await this.dispatchAction(action, midiData, error => {
+                console.error(`Failed to execute MIDI action ${action.name}:`, error);
+            });
+        }
+    }
+
+    getActionsByMIDITrigger(midiData) {
+        const { type, note, controller, value, velocity, channel } = midiData;
+
+        return this.actions.filter(action => {
+            const midiTrigger = action.triggers && action.triggers.find(t => t.type === 'midi');
+            if (!midiTrigger) return false;
+
+            const config = midiTrigger.config;
+
+            // Check message type
+            if (config.messageType !== type) return false;
+
+            // Check channel (if specified)
+            if (config.channel !== undefined && config.channel !== null && config.channel !== channel) {
+                return false;
+            }
+
+            // Check specific parameters based on message type
+            switch (type) {
+                case 'noteon':
                 case 'noteoff':
                     return config.note === note;
                 case 'cc':
@@ -565,6 +1599,144 @@ class ActionManager {
         }
     }
 
+    // Timer trigger handling
+    startTimers() {
+        this.stopAllTimers();
+
+        for (const action of this.actions) {
+            this.scheduleActionTimers(action);
+        }
+    }
+
+    stopAllTimers() {
+        for (const actionId of Array.from(this.timers.keys())) {
+            this.stopActionTimers(actionId);
+        }
+    }
+
+    scheduleActionTimers(action) {
+        // Always clear existing timers first so edits take effect immediately
+        this.stopActionTimers(action.id);
+
+        if (!Array.isArray(action.triggers)) {
+            return;
+        }
+
+        const timerTriggers = action.triggers.filter(t => t.type === 'timer');
+        if (timerTriggers.length === 0) {
+            return;
+        }
+
+        const timerStates = [];
+        for (const trigger of timerTriggers) {
+            const intervalMs = this.getTimerIntervalMs(trigger.config);
+            if (!intervalMs) {
+                console.warn(`Timer trigger for action ${action.name} has no valid interval, skipping`);
+                continue;
+            }
+
+            const state = {
+                handle: null,
+                chatLinesAtLastFire: this.chatLineCount
+            };
+            state.handle = setInterval(() => {
+                this.handleTimerTrigger(action.id, trigger.config || {}, state);
+            }, intervalMs);
+
+            timerStates.push(state);
+            console.log(`Scheduled timer for action ${action.name} every ${intervalMs / 1000}s`);
+        }
+
+        if (timerStates.length > 0) {
+            this.timers.set(action.id, timerStates);
+        }
+    }
+
+    stopActionTimers(actionId) {
+        const timerStates = this.timers.get(actionId);
+        if (!timerStates) {
+            return;
+        }
+
+        for (const state of timerStates) {
+            clearInterval(state.handle);
+        }
+        this.timers.delete(actionId);
+    }
+
+    getTimerIntervalMs(config = {}) {
+        // Interval is configured in minutes
+        const minutes = parseFloat(config.interval);
+        if (isNaN(minutes) || minutes <= 0) {
+            return null;
+        }
+        return Math.round(minutes * 60 * 1000);
+    }
+
+    async handleTimerTrigger(actionId, config, state) {
+        const action = this.getActionById(actionId);
+        if (!action) {
+            this.stopActionTimers(actionId);
+            return;
+        }
+
+        // Don't pile up runs of a timer whose previous one is still waiting in (or running on) its queue
+        if (action.queue && this.queueManager.hasAction(action.queue, action.id)) {
+            console.log(`Timer for ${action.name} skipped: still queued in "${action.queue}"`);
+            return;
+        }
+
+        // Check minimum chat activity since the last time this timer fired
+        const minChatLines = parseInt(config.minChatLines) || 0;
+        const chatLines = this.chatLineCount - state.chatLinesAtLastFire;
+        if (chatLines < minChatLines) {
+            console.log(`Timer for ${action.name} skipped: ${chatLines}/${minChatLines} chat lines since last run`);
+            return;
+        }
+
+        // Check live status if required
+        if (config.onlyWhenLive) {
+            const live = await this.isStreamLive();
+            if (!live) {
+                console.log(`Timer for ${action.name} skipped: stream is not live`);
+                return;
+            }
+        }
+
+        state.chatLinesAtLastFire = this.chatLineCount;
+
+        try {
+            await this.triggerAction(action, { timer: true, chatLines });
+        } catch (error) {
+            console.error(`Failed to execute timer action ${action.name}:`, error);
+        }
+    }
+
+    recordChatActivity() {
+        this.chatLineCount++;
+    }
+
+    async isStreamLive() {
+        // Prefer the Twitch API since it reflects what viewers actually see
+        if (global.twitchAPIClient && global.twitchAPIClient.isAuthenticated()) {
+            try {
+                return await global.twitchAPIClient.isStreamLive();
+            } catch (error) {
+                console.error('Error checking Twitch stream status:', error);
+            }
+        }
+
+        if (global.obsClient && global.obsClient.isConnected()) {
+            try {
+                return await global.obsClient.isStreaming();
+            } catch (error) {
+                console.error('Error checking OBS stream status:', error);
+            }
+        }
+
+        return false;
+    }
+
     // Settings management
     async loadSettings() {
         let savedSettings = {};
@@ -594,6 +1766,12 @@ class ActionManager {
             twitch: {
                 ...defaultSettings.twitch,
                 ...savedSettings.twitch
+            },
+            controlApi: {
+                ...defaultSettings.controlApi,
+                ...savedSettings.controlApi,
+                // Older versions kept the token in settings.json, it moves to .env on the next save
+                token: defaultSettings.controlApi.token || savedSettings.controlApi?.token || ''
             }
         };
 
@@ -608,8 +1786,13 @@ class ActionManager {
             await this.saveToEnvFile(settings);
 
             // Save non-sensitive preferences to settings.json
+            const controlApi = { ...(settings.controlApi || { enabled: false, port: 8765 }) };
+            delete controlApi.token;
             const preferences = {
-                app: settings.app || { theme: 'dark', autoConnect: true }
+                app: settings.app || { theme: 'dark', autoConnect: true },
+                controlApi,
+                webhooks: settings.webhooks || { enabled: false, port: 3001, allowRemote: false },
+                eventSub: settings.eventSub || { url: '', simulatorPort: 8081 }
             };
             await this.ensureDataDirectory();
             await fs.writeFile(this.settingsFile, JSON.stringify(preferences, null, 2));
@@ -660,6 +1843,12 @@ class ActionManager {
                 envVars.TWITCH_CHANNEL = settings.twitch.channel || '';
             }
 
+            if (settings.controlApi) {
+                envVars.CONTROL_API_TOKEN = settings.controlApi.token || '';
+                // Settings are loaded again later in this session, and .env is only read at startup
+                process.env.CONTROL_API_TOKEN = envVars.CONTROL_API_TOKEN;
+            }
+
             // Generate new .env content, preserving Twitch API credentials
             const newEnvContent = `# OBS WebSocket Settings
 OBS_HOST=${envVars.OBS_HOST}
@@ -674,6 +1863,9 @@ TWITCH_CHANNEL=${envVars.TWITCH_CHANNEL}
 # Twitch API Configuration
 TWITCH_CLIENT_ID=${envVars.TWITCH_CLIENT_ID || 'your_client_id_here'}
 TWITCH_CLIENT_SECRET=${envVars.TWITCH_CLIENT_SECRET || 'your_client_secret_here'}
+
+# Control API
+CONTROL_API_TOKEN=${envVars.CONTROL_API_TOKEN || ''}
 `;
 
             // Write back to .env file
@@ -698,6 +1890,11 @@ TWITCH_CLIENT_SECRET=${envVars.TWITCH_CLIENT_SECRET || 'your_client_secret_here'
                 username: process.env.TWITCH_USERNAME || '',
                 oauth: process.env.TWITCH_OAUTH_TOKEN || '',
                 channel: process.env.TWITCH_CHANNEL || ''
+            },
+            controlApi: {
+                enabled: false,
+                port: 8765,
+                token: process.env.CONTROL_API_TOKEN || ''
             }
         };
     }
@@ -716,26 +1913,48 @@ TWITCH_CLIENT_SECRET=${envVars.TWITCH_CLIENT_SECRET || 'your_client_secret_here'
             action.triggers.forEach((trigger, index) => {
                 if (!trigger.type) {
                     errors.push(`Trigger ${index + 1} is missing type`);
-        } else if (!['command', 'timer', 'channel_points', 'cheer', 'subscriber', 'midi'].includes(trigger.type)) {
+        } else if (!['command', 'timer', 'channel_points', 'cheer', 'subscriber', 'gift_bomb', 'follow', 'raid', 'stream_online', 'stream_offline', 'chat_message', 'midi', 'webhook'].includes(trigger.type)) {
             errors.push(`Trigger ${index + 1} has invalid type: ${trigger.type}`);
         }
 
                 if (trigger.type === 'command' && (!trigger.config?.command || typeof trigger.config.command !== 'string')) {
                     errors.push(`Command trigger ${index + 1} must have a command`);
                 }
+
+                if (trigger.type === 'command') {
+                    if (trigger.config?.aliases !== undefined &&
+                        (!Array.isArray(trigger.config.aliases) || trigger.config.aliases.some(alias => typeof alias !== 'string' || !alias.trim()))) {
+                        errors.push(`Command trigger ${index + 1} aliases must be a list of command names`);
+                    }
+                    this.commandParser.validateDefinitions(trigger.config?.args).forEach(error => {
+                        errors.push(`Command trigger ${index + 1}: ${error}`);
+                    });
+                }
+
+                if (trigger.type === 'chat_message') {
+                    try {
+                        if (!this.getChatMessageRegex(trigger.config)) {
+                            errors.push(`Chat message trigger ${index + 1} must have a pattern`);
+                        }
+                    } catch (error) {
+                        errors.push(`Chat message trigger ${index + 1} has an invalid regex: ${error.message}`);
+                    }
+                }
+
+                if (trigger.type === 'webhook' && (!this.normalizeWebhookPath(trigger.config?.path) || !trigger.config?.secret)) {
+                    errors.push(`Webhook trigger ${index + 1} must have a path and a secret`);
+                }
+
+                if (trigger.type === 'timer' && !this.getTimerIntervalMs(trigger.config)) {
+                    errors.push(`Timer trigger ${index + 1} must have an interval greater than 0`);
+                }
             });
         }
 
         if (!Array.isArray(action.steps)) {
             errors.push('Action steps must be an array');
         } else {
-            action.steps.forEach((step, index) => {
-                if (!step.type) {
-                    errors.push(`Step ${index + 1} is missing type`);
-                } else if (!step.value && !['obs_start_streaming', 'obs_stop_streaming', 'obs_source_show', 'obs_source_hide'].includes(step.type)) {
-                    errors.push(`Step ${index + 1} is missing value`);
-                }
-            });
+            this.validateSteps(action.steps, 'Step ', errors);
         }
 
         return {
@@ -743,6 +1962,29 @@ TWITCH_CLIENT_SECRET=${envVars.TWITCH_CLIENT_SECRET || 'your_client_secret_here'
             errors
         };
     }
+
+    validateSteps(steps, label, errors) {
+        steps.forEach((step, index) => {
+            const stepLabel = `${label}${index + 1}`;
+
+            if (!step.type) {
+                errors.push(`${stepLabel} is missing type`);
+            } else if (step.type === 'if') {
+                if (!Array.isArray(step.conditions)) {
+                    errors.push(`${stepLabel} must have a list of conditions`);
+                }
+                ['then', 'else'].forEach(branch => {
+                    if (step[branch] !== undefined && !Array.isArray(step[branch])) {
+                        errors.push(`${stepLabel} ${branch} branch must be an array`);
+                    } else if (step[branch]) {
+                        this.validateSteps(step[branch], `${stepLabel}.${branch} step `, errors);
+                    }
+                });
+            } else if (!step.value && !['obs_start_streaming', 'obs_stop_streaming', 'obs_source_show', 'obs_source_hide', 'redemption_fulfill', 'redemption_cancel'].includes(step.type)) {
+                errors.push(`${stepLabel} is missing value`);
+            }
+        });
+    }
 }
 
 module.exports = ActionManager;
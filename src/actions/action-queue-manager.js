@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+class ActionQueueManager {
+    constructor(executeAction) {
+        // Function used to actually run an action: (actionId, context) => Promise
+        this.executeAction = executeAction;
+        this.queues = new Map();
+        this.queuesFile = path.join(__dirname, '..', '..', 'data', 'queues.json');
+    }
+
+    // Queue definitions
+    async loadQueues() {
+        try {
+            const data = await fs.readFile(this.queuesFile, 'utf8');
+            const definitions = JSON.parse(data);
+            for (const definition of definitions) {
+                this.upsertQueue(definition);
+            }
+            console.log(`Loaded ${definitions.length} action queues`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log('Queues file not found, starting with no queues');
+                return this.getStatus();
+            }
+            console.error('Error loading queues:', error);
+            throw error;
+        }
+        return this.getStatus();
+    }
+
+    async saveQueues() {
+        try {
+            await fs.mkdir(path.dirname(this.queuesFile), { recursive: true });
+            const definitions = Array.from(this.queues.values()).map(queue => this.getDefinition(queue));
+            await fs.writeFile(this.queuesFile, JSON.stringify(definitions, null, 2));
+            console.log(`Saved ${definitions.length} action queues`);
+            return true;
+        } catch (error) {
+            console.error('Error saving queues:', error);
+            throw error;
+        }
+    }
+
+    getDefinition(queue) {
+        return {
+            name: queue.name,
+            mode: queue.mode,
+            maxDepth: queue.maxDepth,
+            paused: queue.paused
+        };
+    }
+
+    upsertQueue(definition) {
+        const name = (definition.name || '').trim();
+        if (!name) {
+            throw new Error('Queue must have a name');
+        }
+
+        const queue = this.queues.get(name) || { name, running: [], waiting: [] };
+        queue.mode = definition.mode === 'parallel' ? 'parallel' : 'blocking';
+        queue.maxDepth = Math.max(0, parseInt(definition.maxDepth) || 0);
+        queue.paused = Boolean(definition.paused);
+
+        this.queues.set(name, queue);
+        return queue;
+    }
+
+    async saveQueue(definition) {
+        const queue = this.upsertQueue(definition);
+        await this.saveQueues();
+
+        // Mode or pause changes may allow waiting items to start
+        this.processQueue(queue);
+        this.emitUpdate();
+        return this.getDefinition(queue);
+    }
+
+    async deleteQueue(name) {
+        const queue = this.queues.get(name);
+        if (!queue) {
+            throw new Error(`Queue ${name} not found`);
+        }
+
+        this.rejectWaiting(queue, `Queue "${name}" was deleted`);
+        this.queues.delete(name);
+        await this.saveQueues();
+        this.emitUpdate();
+    }
+
+    // Queue execution
+    enqueue(queueName, action, context = {}) {
+        // Unknown queue names get a blocking queue so assigned actions never run concurrently
+        const queue = this.queues.get(queueName) || this.upsertQueue({ name: queueName });
+
+        if (queue.maxDepth > 0 && queue.waiting.length >= queue.maxDepth) {
+            const message = `Queue "${queue.name}" is full (${queue.maxDepth} waiting), dropped action "${action.name}"`;
+            console.warn(message);
+            if (global.mainWindow) {
+                global.mainWindow.webContents.send('log:message', { level: 'warn', message });
+            }
+            return Promise.reject(new Error(message));
+        }
+
+        return new Promise((resolve, reject) => {
+            queue.waiting.push({
+                id: uuidv4(),
+                actionId: action.id,
+                actionName: action.name,
+                context,
+                queuedAt: Date.now(),
+                resolve,
+                reject
+            });
+
+            this.processQueue(queue);
+            this.emitUpdate();
+        });
+    }
+
+    /**
+     * Whether an action is waiting in or running on a queue
+     */
+    hasAction(queueName, actionId) {
+        const queue = this.queues.get(queueName);
+        return Boolean(queue) && [...queue.running, ...queue.waiting].some(item => item.actionId === actionId);
+    }
+
+    processQueue(queue) {
+        while (!queue.paused && queue.waiting.length > 0 &&
+            (queue.mode === 'parallel' || queue.running.length === 0)) {
+            const item = queue.waiting.shift();
+            this.runItem(queue, item);
+        }
+    }
+
+    async runItem(queue, item) {
+        item.startedAt = Date.now();
+        queue.running.push(item);
+        this.emitUpdate();
+
+        try {
+            const result = await this.executeAction(item.actionId, item.context);
+            item.resolve(result);
+        } catch (error) {
+            item.reject(error);
+        } finally {
+            queue.running = queue.running.filter(runningItem => runningItem !== item);
+            this.processQueue(queue);
+            this.emitUpdate();
+        }
+    }
+
+    async pauseQueue(name) {
+        const queue = this.getExistingQueue(name);
+        queue.paused = true;
+        await this.saveQueues();
+        this.emitUpdate();
+    }
+
+    async resumeQueue(name) {
+        const queue = this.getExistingQueue(name);
+        queue.paused = false;
+        await this.saveQueues();
+        this.processQueue(queue);
+        this.emitUpdate();
+    }
+
+    clearQueue(name) {
+        const queue = this.getExistingQueue(name);
+        const cleared = this.rejectWaiting(queue, `Queue "${name}" was cleared`);
+        this.emitUpdate();
+        return cleared;
+    }
+
+    rejectWaiting(queue, reason) {
+        const waiting = queue.waiting;
+        queue.waiting = [];
+        for (const item of waiting) {
+            item.reject(new Error(reason));
+        }
+        return waiting.length;
+    }
+
+    getExistingQueue(name) {
+        const queue = this.queues.get(name);
+        if (!queue) {
+            throw new Error(`Queue ${name} not found`);
+        }
+        return queue;
+    }
+
+    getQueueNames() {
+        return Array.from(this.queues.keys());
+    }
+
+    // Status for the renderer
+    getStatus() {
+        const describeItem = item => ({
+            id: item.id,
+            actionId: item.actionId,
+            actionName: item.actionName,
+            queuedAt: item.queuedAt,
+            startedAt: item.startedAt
+        });
+
+        return Array.from(this.queues.values()).map(queue => ({
+            ...this.getDefinition(queue),
+            running: queue.running.map(describeItem),
+            waiting: queue.waiting.map(describeItem)
+        }));
+    }
+
+    emitUpdate() {
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('queues:updated', this.getStatus());
+        }
+    }
+}
+
+module.exports = ActionQueueManager;
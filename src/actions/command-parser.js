@@ -0,0 +1,144 @@
+// Twitch login names: 4-25 letters, digits or underscores (older accounts can be shorter)
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{1,25}$/;
+
+const ARGUMENT_TYPES = ['user', 'number', 'text'];
+
+class CommandParser {
+    /**
+     * Split command arguments on whitespace, keeping "quoted strings" together
+     */
+    tokenize(text) {
+        return this.scanTokens(text).map(token => token.value);
+    }
+
+    scanTokens(text) {
+        const tokens = [];
+        const pattern = /"([^"]*)"?|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(text || '')) !== null) {
+            tokens.push({ value: match[1] !== undefined ? match[1] : match[2], index: match.index });
+        }
+        return tokens;
+    }
+
+    /**
+     * Check an argument string against a trigger's declared arguments.
+     * The last text argument takes the rest of the message, so "!so @user great stream" works.
+     * Returns { valid, values, error }.
+     */
+    parseArguments(definitions = [], text = '') {
+        const tokens = this.scanTokens(text);
+        const values = {};
+
+        for (let i = 0; i < definitions.length; i++) {
+            const definition = definitions[i];
+            const isLast = i === definitions.length - 1;
+            let token = tokens[i] && tokens[i].value;
+
+            if (token !== undefined && definition.type === 'text' && isLast && tokens.length > i + 1) {
+                token = text.substring(tokens[i].index).trim();
+            }
+
+            if (token === undefined || token === '') {
+                if (definition.required) {
+                    return { valid: false, values, error: `Missing ${definition.name}` };
+                }
+                continue;
+            }
+
+            const value = this.parseValue(definition.type, token);
+            if (value === null) {
+                return { valid: false, values, error: `${definition.name} must be ${this.describeType(definition.type)}` };
+            }
+            values[definition.name] = value;
+        }
+
+        return { valid: true, values, error: null };
+    }
+
+    parseValue(type, token) {
+        switch (type) {
+            case 'user': {
+                const username = token.startsWith('@') ? token.substring(1) : token;
+                return USERNAME_PATTERN.test(username) ? username : null;
+            }
+            case 'number': {
+                const number = Number(token);
+                return token.trim() !== '' && Number.isFinite(number) ? number : null;
+            }
+            default:
+                return token;
+        }
+    }
+
+    describeType(type) {
+        switch (type) {
+            case 'user':
+                return 'a Twitch username';
+            case 'number':
+                return 'a number';
+            default:
+                return 'text';
+        }
+    }
+
+    /**
+     * Build a usage line like "!give <user> <amount> [reason]"
+     */
+    formatUsage(command, definitions = []) {
+        const name = command.startsWith('!') ? command : `!${command}`;
+        const parts = definitions.map(definition => definition.required ? `<${definition.name}>` : `[${definition.name}]`);
+        return [name, ...parts].join(' ');
+    }
+
+    /**
+     * Declared arguments sit on the {args} list next to the positional ones, so a name
+     * can't be a position ({args.0}) or anything a list already has (length, join, ...)
+     */
+    isReservedName(name) {
+        return /^\d+$/.test(name) || name in [];
+    }
+
+    /**
+     * Validate argument declarations, returning a list of problems
+     */
+    validateDefinitions(definitions) {
+        const errors = [];
+        if (definitions === undefined) {
+            return errors;
+        }
+        if (!Array.isArray(definitions)) {
+            return ['arguments must be a list'];
+        }
+
+        const names = new Set();
+        let sawOptional = false;
+        definitions.forEach((definition, index) => {
+            const name = definition && definition.name;
+            if (!name || !/^\w+$/.test(name)) {
+                errors.push(`argument ${index + 1} needs a name made of letters, digits or _`);
+            } else if (this.isReservedName(name)) {
+                errors.push(`argument name "${name}" is reserved, pick another one`);
+            } else if (names.has(name)) {
+                errors.push(`argument "${name}" is declared twice`);
+            } else {
+                names.add(name);
+            }
+
+            if (!ARGUMENT_TYPES.includes(definition && definition.type)) {
+                errors.push(`argument ${index + 1} has invalid type: ${definition && definition.type}`);
+            }
+
+            if (definition && definition.required && sawOptional) {
+                errors.push(`required argument "${name}" can't follow an optional one`);
+            }
+            if (definition && !definition.required) {
+                sawOptional = true;
+            }
+        });
+        return errors;
+    }
+}
+
+module.exports = CommandParser;
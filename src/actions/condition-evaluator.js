@@ -0,0 +1,123 @@
+// Operators that only look at the left-hand value
+const UNARY_OPERATORS = ['is_true', 'is_false', 'is_empty', 'is_not_empty'];
+
+const TRUTHY_VALUES = ['true', '1', 'yes', 'on'];
+
+class ConditionEvaluator {
+    constructor(templateEngine) {
+        this.templateEngine = templateEngine;
+    }
+
+    /**
+     * Evaluate an if step's conditions against the trigger context
+     */
+    async evaluate(step, context = {}) {
+        const conditions = Array.isArray(step.conditions) ? step.conditions : [];
+        if (conditions.length === 0) {
+            return true;
+        }
+
+        const conditionContext = await this.buildContext(conditions, context);
+        const results = conditions.map(condition => this.evaluateCondition(condition, conditionContext));
+
+        return step.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+    }
+
+    /**
+     * Add live state to the context, only fetching what the conditions reference
+     */
+    async buildContext(conditions, context) {
+        const referencesOBS = conditions.some(condition =>
+            `${condition.left || ''} ${condition.right || ''}`.includes('{obs.')
+        );
+
+        if (!referencesOBS) {
+            return context;
+        }
+
+        return { ...context, obs: await this.getOBSState() };
+    }
+
+    async getOBSState() {
+        if (!global.obsClient || !global.obsClient.isConnected()) {
+            return { connected: false, scene: '', streaming: false };
+        }
+
+        const [scene, streaming] = await Promise.all([
+            global.obsClient.getCurrentScene(),
+            global.obsClient.isStreaming()
+        ]);
+
+        return { connected: true, scene, streaming };
+    }
+
+    evaluateCondition(condition, context) {
+        const operator = condition.operator || 'equals';
+        const left = String(this.templateEngine.render(condition.left || '', context));
+        const right = UNARY_OPERATORS.includes(operator) ?
+            '' : String(this.templateEngine.render(condition.right || '', context));
+
+        switch (operator) {
+            case 'equals':
+                return left.toLowerCase() === right.toLowerCase();
+
+            case 'not_equals':
+                return left.toLowerCase() !== right.toLowerCase();
+
+            case 'contains':
+                return left.toLowerCase().includes(right.toLowerCase());
+
+            case 'gt':
+            case 'gte':
+            case 'lt':
+            case 'lte':
+                return this.compareNumbers(left, right, operator);
+
+            case 'matches':
+                return this.matchesPattern(left, right);
+
+            case 'is_true':
+                return TRUTHY_VALUES.includes(left.toLowerCase());
+
+            case 'is_false':
+                return !TRUTHY_VALUES.includes(left.toLowerCase());
+
+            case 'is_empty':
+                return left.trim() === '';
+
+            case 'is_not_empty':
+                return left.trim() !== '';
+
+            default:
+                throw new Error(`Unknown condition operator: ${operator}`);
+        }
+    }
+
+    compareNumbers(left, right, operator) {
+        const a = parseFloat(left);
+        const b = parseFloat(right);
+        if (isNaN(a) || isNaN(b)) {
+            return false;
+        }
+
+        switch (operator) {
+            case 'gt': return a > b;
+            case 'gte': return a >= b;
+            case 'lt': return a < b;
+            case 'lte': return a <= b;
+            default: return false;
+        }
+    }
+
+    matchesPattern(value, pattern) {
+        let regex;
+        try {
+            regex = new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`Invalid regex in condition: ${pattern}`);
+        }
+        return regex.test(value);
+    }
+}
+
+module.exports = ConditionEvaluator;
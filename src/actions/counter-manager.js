@@ -0,0 +1,271 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Who can change a counter when nothing else is set
+const DEFAULT_PERMISSIONS = { moderator: true, broadcaster: true };
+const DEFAULT_REPLY = '{counter}: {count}';
+const DEFAULT_OBS_TEXT = '{count}';
+
+/**
+ * Named counters driven from chat, e.g. a death counter:
+ *   !deaths   !deaths+   !deaths-   !deaths+ 3   !deaths set 10
+ * Values are stored as global variables (so {vars.deaths} works in any action and
+ * variable steps can change them), while data/counters.json keeps the definitions.
+ */
+class CounterManager {
+    constructor(actionManager) {
+        this.actionManager = actionManager;
+        this.variableStore = actionManager.variableStore;
+        this.counters = [];
+        this.countersFile = path.join(__dirname, '..', '..', 'data', 'counters.json');
+        this.mirroredText = new Map(); // counter name -> text last written to OBS
+
+        // Keep OBS in sync however the value changed: chat, a variable step or the app
+        this.variableStore.onChange(() => this.mirrorAll());
+    }
+
+    async loadCounters() {
+        try {
+            const data = await fs.readFile(this.countersFile, 'utf8');
+            this.counters = JSON.parse(data).map(definition => this.normalizeCounter(definition));
+            console.log(`Loaded ${this.counters.length} counters`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log('Counters file not found, starting with no counters');
+                this.counters = [];
+                return this.getCounters();
+            }
+            console.error('Error loading counters:', error);
+            throw error;
+        }
+        return this.getCounters();
+    }
+
+    async saveCounters() {
+        try {
+            await fs.mkdir(path.dirname(this.countersFile), { recursive: true });
+            await fs.writeFile(this.countersFile, JSON.stringify(this.counters, null, 2));
+            console.log(`Saved ${this.counters.length} counters`);
+            return true;
+        } catch (error) {
+            console.error('Error saving counters:', error);
+            throw error;
+        }
+    }
+
+    // Definitions
+    getCounters() {
+        return this.counters.map(counter => ({ ...counter, value: this.getValue(counter.name) }));
+    }
+
+    getCounter(name) {
+        const normalized = this.normalizeName(name);
+        return this.counters.find(counter => counter.name === normalized) || null;
+    }
+
+    normalizeCounter(definition = {}) {
+        const name = this.normalizeName(definition.name);
+        // Counter names double as the command and the variable name
+        if (!/^\w+$/.test(name)) {
+            throw new Error(`Invalid counter name "${definition.name || ''}", use letters, digits or _`);
+        }
+
+        return {
+            name,
+            permissions: definition.permissions || { ...DEFAULT_PERMISSIONS },
+            reply: typeof definition.reply === 'string' ? definition.reply : DEFAULT_REPLY,
+            obsSource: (definition.obsSource || '').trim(),
+            obsText: definition.obsText || DEFAULT_OBS_TEXT
+        };
+    }
+
+    async saveCounter(definition, originalName = null) {
+        const counter = this.normalizeCounter(definition);
+        const previous = this.getCounter(originalName || counter.name);
+
+        if (previous && previous.name !== counter.name) {
+            throw new Error('Counters can\'t be renamed, delete it and create a new one');
+        }
+        if (this.actionManager.isBuiltInCommand(counter.name)) {
+            throw new Error(`!${counter.name} is a built-in command`);
+        }
+
+        this.counters = previous ?
+            this.counters.map(existing => existing === previous ? counter : existing) :
+            [...this.counters, counter];
+        await this.saveCounters();
+
+        // Show the value in a newly chosen source, or with the new text, straight away
+        this.mirroredText.delete(counter.name);
+        await this.mirror(counter);
+        this.emitUpdate();
+        return { ...counter, value: this.getValue(counter.name) };
+    }
+
+    /**
+     * Remove a counter's commands. Its value stays as a global variable and can be
+     * deleted from the Variables tab.
+     */
+    async deleteCounter(name) {
+        const counter = this.getCounter(name);
+        if (!counter) {
+            throw new Error(`Counter ${name} not found`);
+        }
+
+        this.counters = this.counters.filter(existing => existing !== counter);
+        this.mirroredText.delete(counter.name);
+        await this.saveCounters();
+        this.emitUpdate();
+        return true;
+    }
+
+    // Values
+    getValue(name) {
+        const value = Number(this.variableStore.get('global', '', name));
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    async changeBy(name, amount = 1) {
+        const counter = this.requireCounter(name);
+        return this.variableStore.increment('global', '', counter.name, amount);
+    }
+
+    async setValue(name, value) {
+        const counter = this.requireCounter(name);
+        const number = Number(value);
+        if (String(value).trim() === '' || !Number.isFinite(number)) {
+            throw new Error(`Counter value must be a number, got "${value}"`);
+        }
+        return this.variableStore.set('global', '', counter.name, number);
+    }
+
+    requireCounter(name) {
+        const counter = this.getCounter(name);
+        if (!counter) {
+            throw new Error(`Counter ${name} not found`);
+        }
+        return counter;
+    }
+
+    // Chat commands
+    /**
+     * Handle !name, !name+, !name- and !name set N. Returns false when the command
+     * doesn't belong to a counter.
+     */
+    async handleCommand(commandData) {
+        const request = this.parseCommand(commandData.command, commandData.args);
+        if (!request) {
+            return false;
+        }
+
+        const { counter, change } = request;
+        try {
+            if (change) {
+                // Anyone can look at a counter, changing it follows its permissions
+                if (!this.actionManager.checkUserPermissions(counter, commandData)) {
+                    console.log(`${commandData.username} may not change counter ${counter.name}`);
+                    return true;
+                }
+                if (change.error) {
+                    await this.reply(commandData, `Usage: !${counter.name} set <number>`);
+                    return true;
+                }
+
+                if (change.set !== undefined) {
+                    await this.setValue(counter.name, change.set);
+                } else {
+                    await this.changeBy(counter.name, change.amount);
+                }
+            }
+
+            if (counter.reply) {
+                await this.reply(commandData, this.render(counter.reply, counter, commandData));
+            }
+        } catch (error) {
+            console.error(`Failed to update counter ${counter.name}:`, error);
+        }
+        return true;
+    }
+
+    parseCommand(command = '', args = '') {
+        const tokens = (args || '').split(/\s+/).filter(token => token);
+        const sign = command.slice(-1);
+
+        if (sign === '+' || sign === '-') {
+            const counter = this.getCounter(command.slice(0, -1));
+            if (!counter) {
+                return null;
+            }
+            // "!deaths+ 3" changes by more than one
+            const amount = tokens.length > 0 && Number.isFinite(Number(tokens[0])) ? Math.abs(Number(tokens[0])) : 1;
+            return { counter, change: { amount: sign === '+' ? amount : -amount } };
+        }
+
+        const counter = this.getCounter(command);
+        if (!counter) {
+            return null;
+        }
+        if (tokens[0] && tokens[0].toLowerCase() === 'set') {
+            const value = Number(tokens[1]);
+            return { counter, change: tokens[1] !== undefined && Number.isFinite(value) ? { set: value } : { error: true } };
+        }
+        return { counter, change: null };
+    }
+
+    render(template, counter, context = {}) {
+        return this.actionManager.templateEngine.render(template, {
+            ...context,
+            counter: counter.name,
+            count: this.getValue(counter.name)
+        });
+    }
+
+    async reply(commandData, message) {
+        if (!message || !global.twitchClient || !global.twitchClient.isConnected()) {
+            return;
+        }
+
+        try {
+            await global.twitchClient.sendMessage(message);
+        } catch (error) {
+            console.error('Failed to send counter reply:', error);
+        }
+    }
+
+    // OBS mirroring
+    async mirrorAll() {
+        for (const counter of this.counters) {
+            await this.mirror(counter);
+        }
+    }
+
+    async mirror(counter) {
+        if (!counter.obsSource || !global.obsClient || !global.obsClient.isConnected()) {
+            return;
+        }
+
+        const text = this.render(counter.obsText, counter);
+        if (this.mirroredText.get(counter.name) === text) {
+            return;
+        }
+
+        try {
+            await global.obsClient.setInputText(counter.obsSource, text);
+            this.mirroredText.set(counter.name, text);
+        } catch (error) {
+            console.error(`Failed to update OBS source ${counter.obsSource} for counter ${counter.name}:`, error);
+        }
+    }
+
+    normalizeName(name) {
+        return String(name || '').trim().replace(/^!/, '').toLowerCase();
+    }
+
+    emitUpdate() {
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('counters:updated', this.getCounters());
+        }
+    }
+}
+
+module.exports = CounterManager;
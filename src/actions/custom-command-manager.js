@@ -0,0 +1,171 @@
+// Built-in chat commands for managing simple reply commands without opening the app
+const MANAGEMENT_COMMANDS = ['addcom', 'editcom', 'delcom', 'commands'];
+
+/**
+ * Lets moderators manage text reply commands from chat:
+ *   !addcom !hello Hi {user}!   !editcom !hello Hey {user}!   !delcom !hello   !commands
+ * Each command is a regular action (one command trigger, one Twitch message step),
+ * so it shows up in the actions list and can be edited there too.
+ */
+class CustomCommandManager {
+    constructor(actionManager) {
+        this.actionManager = actionManager;
+    }
+
+    /**
+     * Handle a management command. Returns false when the command isn't one of ours,
+     * including when an action already uses the name (user actions win over built-ins).
+     */
+    async handleCommand(commandData) {
+        const command = commandData.command;
+        if (!this.isManagementCommand(command) || this.actionManager.getActionsByCommand(command).length > 0) {
+            return false;
+        }
+
+        if (!commandData.isMod && !commandData.isBroadcaster) {
+            return true;
+        }
+
+        const tokens = (commandData.args || '').split(/\s+/).filter(token => token);
+        const name = this.normalizeName(tokens[0]);
+        const text = tokens.length > 1 ? commandData.args.trim().substring(tokens[0].length).trim() : '';
+
+        try {
+            let reply;
+            switch (command) {
+                case 'addcom':
+                    reply = await this.addCommand(name, text, commandData);
+                    break;
+                case 'editcom':
+                    reply = await this.editCommand(name, text);
+                    break;
+                case 'delcom':
+                    reply = await this.deleteCommand(name);
+                    break;
+                default:
+                    reply = this.listCommands();
+            }
+            await this.reply(commandData, reply);
+        } catch (error) {
+            console.error(`Failed to handle !${command}:`, error);
+            await this.reply(commandData, `Could not ${command === 'delcom' ? 'delete' : 'save'} the command: ${error.message}`);
+        }
+        return true;
+    }
+
+    async addCommand(name, text, commandData) {
+        if (!name || !text) {
+            return 'Usage: !addcom !name reply text';
+        }
+        // The name ends up in the action list, so only allow what a chat command can be
+        if (!/^\w+$/.test(name)) {
+            return 'Command names can only use letters, digits or _';
+        }
+        if (this.isManagementCommand(name) || this.actionManager.getActionsByCommand(name).length > 0 ||
+            this.actionManager.counters.getCounter(name)) {
+            return `!${name} already exists`;
+        }
+
+        await this.actionManager.createAction({
+            name: `!${name}`,
+            triggers: [{ type: 'command', config: { command: `!${name}` } }],
+            steps: [{ type: 'twitch_message', value: text }],
+            permissions: { viewer: true, moderator: true, broadcaster: true },
+            customCommand: {
+                createdBy: commandData.username,
+                createdAt: new Date().toISOString()
+            }
+        });
+        this.actionManager.emitActionsUpdated();
+        return `Added !${name}`;
+    }
+
+    async editCommand(name, text) {
+        if (!name || !text) {
+            return 'Usage: !editcom !name new reply text';
+        }
+
+        const action = this.findReplyAction(name);
+        if (!action) {
+            return this.describeMissing(name);
+        }
+
+        await this.actionManager.updateAction(action.id, {
+            ...action,
+            steps: [{ ...action.steps[0], value: text }]
+        });
+        this.actionManager.emitActionsUpdated();
+        return `Updated !${name}`;
+    }
+
+    async deleteCommand(name) {
+        if (!name) {
+            return 'Usage: !delcom !name';
+        }
+
+        const action = this.findReplyAction(name);
+        if (!action) {
+            return this.describeMissing(name);
+        }
+
+        await this.actionManager.deleteAction(action.id);
+        this.actionManager.emitActionsUpdated();
+        return `Deleted !${name}`;
+    }
+
+    listCommands() {
+        const names = this.actionManager.getActions()
+            .filter(action => this.isReplyAction(action))
+            .map(action => this.getCommandTrigger(action).config.command)
+            .map(command => `!${this.normalizeName(command)}`)
+            .sort();
+
+        return names.length > 0 ? `Commands: ${names.join(', ')}` : 'No custom commands yet, add one with !addcom';
+    }
+
+    /**
+     * Only plain reply actions can be changed from chat, so a mod can't break an
+     * action that switches scenes or plays sounds
+     */
+    findReplyAction(name) {
+        return this.actionManager.getActionsByCommand(name).find(action => this.isReplyAction(action)) || null;
+    }
+
+    isReplyAction(action) {
+        return Array.isArray(action.triggers) && action.triggers.length === 1 &&
+            Boolean(this.getCommandTrigger(action)) &&
+            Array.isArray(action.steps) && action.steps.length === 1 && action.steps[0].type === 'twitch_message';
+    }
+
+    getCommandTrigger(action) {
+        return action.triggers.find(trigger => trigger.type === 'command' && trigger.config && trigger.config.command);
+    }
+
+    describeMissing(name) {
+        return this.actionManager.getActionsByCommand(name).length > 0 ?
+            `!${name} does more than reply, edit it in Debbot instead` :
+            `!${name} doesn't exist`;
+    }
+
+    isManagementCommand(name) {
+        return MANAGEMENT_COMMANDS.includes(name);
+    }
+
+    normalizeName(name) {
+        return (name || '').replace(/^!/, '').toLowerCase();
+    }
+
+    async reply(commandData, message) {
+        if (!global.twitchClient || !global.twitchClient.isConnected()) {
+            return;
+        }
+
+        try {
+            await global.twitchClient.sendMessage(`@${commandData.displayName || commandData.username} ${message}`);
+        } catch (error) {
+            console.error('Failed to send command management reply:', error);
+        }
+    }
+}
+
+module.exports = CustomCommandManager;
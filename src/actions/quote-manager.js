@@ -0,0 +1,261 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const QUOTE_COMMAND = 'quote';
+
+/**
+ * Quote database with chat commands:
+ *   !quote   !quote 12   !quote search word   !quote add text (mods)   !quote del 12 (mods)
+ * Quote numbers never change, so "!quote 12" keeps pointing at the same quote after deletions.
+ */
+class QuoteManager {
+    constructor(actionManager) {
+        this.actionManager = actionManager;
+        this.quotes = [];
+        this.nextNumber = 1;
+        this.quotesFile = path.join(__dirname, '..', '..', 'data', 'quotes.json');
+    }
+
+    async loadQuotes() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.quotesFile, 'utf8'));
+            this.quotes = data.quotes || [];
+            this.nextNumber = data.nextNumber || this.quotes.reduce((max, quote) => Math.max(max, quote.number), 0) + 1;
+            console.log(`Loaded ${this.quotes.length} quotes`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log('Quotes file not found, starting with no quotes');
+                return this.getQuotes();
+            }
+            console.error('Error loading quotes:', error);
+            throw error;
+        }
+        return this.getQuotes();
+    }
+
+    async saveQuotes() {
+        try {
+            await fs.mkdir(path.dirname(this.quotesFile), { recursive: true });
+            await fs.writeFile(this.quotesFile, JSON.stringify({ nextNumber: this.nextNumber, quotes: this.quotes }, null, 2));
+            return true;
+        } catch (error) {
+            console.error('Error saving quotes:', error);
+            throw error;
+        }
+    }
+
+    // Reading
+    getQuotes() {
+        return this.quotes;
+    }
+
+    getQuote(number) {
+        return this.quotes.find(quote => quote.number === parseInt(number)) || null;
+    }
+
+    getRandomQuote() {
+        if (this.quotes.length === 0) {
+            return null;
+        }
+        return this.quotes[Math.floor(Math.random() * this.quotes.length)];
+    }
+
+    searchQuotes(text) {
+        const search = String(text || '').toLowerCase();
+        return this.quotes.filter(quote => quote.text.toLowerCase().includes(search));
+    }
+
+    formatQuote(quote) {
+        const details = [quote.game, new Date(quote.addedAt).toLocaleDateString()].filter(Boolean).join(', ');
+        return `#${quote.number}: ${quote.text} (${details})`;
+    }
+
+    // Writing
+    /**
+     * Add a quote, stamped with who added it, when, and the game being played
+     * (only known while the Twitch API is authenticated)
+     */
+    async addQuote(text, addedBy) {
+        const quoteText = String(text || '').trim();
+        if (!quoteText) {
+            throw new Error('Quote text is required');
+        }
+
+        // Fetch the game first so two adds during the API call can't get the same number
+        const game = await this.getCurrentGame();
+        const quote = {
+            number: this.nextNumber++,
+            text: quoteText,
+            addedBy: addedBy || '',
+            addedAt: new Date().toISOString(),
+            game
+        };
+
+        this.quotes.push(quote);
+        await this.afterChange();
+        return quote;
+    }
+
+    async updateQuote(number, updates = {}) {
+        const quote = this.requireQuote(number);
+        if (updates.text !== undefined) {
+            const text = String(updates.text).trim();
+            if (!text) {
+                throw new Error('Quote text is required');
+            }
+            quote.text = text;
+        }
+        if (updates.game !== undefined) {
+            quote.game = String(updates.game).trim();
+        }
+
+        await this.afterChange();
+        return quote;
+    }
+
+    async deleteQuote(number) {
+        const quote = this.requireQuote(number);
+        this.quotes = this.quotes.filter(existing => existing !== quote);
+        await this.afterChange();
+        return true;
+    }
+
+    requireQuote(number) {
+        const quote = this.getQuote(number);
+        if (!quote) {
+            throw new Error(`Quote #${number} not found`);
+        }
+        return quote;
+    }
+
+    async getCurrentGame() {
+        const twitchAPIClient = global.twitchAPIClient;
+        if (!twitchAPIClient || !twitchAPIClient.isAuthenticated()) {
+            return '';
+        }
+
+        try {
+            const channel = await twitchAPIClient.getChannelInfo();
+            return channel ? channel.game_name || '' : '';
+        } catch (error) {
+            // A missing game shouldn't stop the quote from being saved
+            console.error('Failed to get current game for quote:', error);
+            return '';
+        }
+    }
+
+    async afterChange() {
+        await this.saveQuotes();
+        this.emitUpdate();
+    }
+
+    // Chat commands
+    /**
+     * Handle !quote. Returns false when it isn't !quote or an action already uses
+     * the name (user actions win over built-ins).
+     */
+    async handleCommand(commandData) {
+        if (!this.isQuoteCommand(commandData.command) || this.actionManager.getActionsByCommand(QUOTE_COMMAND).length > 0) {
+            return false;
+        }
+
+        const args = (commandData.args || '').trim();
+        const [subcommand = ''] = args.split(/\s+/);
+        const rest = args.substring(subcommand.length).trim();
+        const isMod = commandData.isMod || commandData.isBroadcaster;
+
+        try {
+            let reply;
+            switch (subcommand.toLowerCase()) {
+                case '':
+                    reply = this.describeQuote(this.getRandomQuote(), 'No quotes yet');
+                    break;
+                case 'add':
+                    if (!isMod) {
+                        return true;
+                    }
+                    reply = rest ?
+                        `Added quote #${(await this.addQuote(rest, commandData.displayName || commandData.username)).number}` :
+                        'Usage: !quote add <text>';
+                    break;
+                case 'del':
+                case 'delete':
+                    if (!isMod) {
+                        return true;
+                    }
+                    if (!/^\d+$/.test(rest)) {
+                        reply = 'Usage: !quote del <number>';
+                    } else if (!this.getQuote(rest)) {
+                        reply = `Quote #${rest} doesn't exist`;
+                    } else {
+                        await this.deleteQuote(rest);
+                        reply = `Deleted quote #${rest}`;
+                    }
+                    break;
+                case 'search':
+                    reply = rest ? this.describeSearch(rest) : 'Usage: !quote search <word>';
+                    break;
+                default:
+                    reply = /^#?\d+$/.test(args) ?
+                        this.describeQuote(this.getQuote(args.replace('#', '')), `Quote #${args.replace('#', '')} doesn't exist`) :
+                        'Usage: !quote [number], !quote search <word>';
+            }
+            await this.reply(reply);
+        } catch (error) {
+            console.error('Failed to handle !quote:', error);
+            await this.reply(`Could not update quotes: ${error.message}`);
+        }
+        return true;
+    }
+
+    isQuoteCommand(name) {
+        return name === QUOTE_COMMAND;
+    }
+
+    describeQuote(quote, missingText) {
+        return quote ? this.formatQuote(quote) : missingText;
+    }
+
+    describeSearch(text) {
+        const matches = this.searchQuotes(text);
+        if (matches.length === 0) {
+            return `No quotes found for "${text}"`;
+        }
+        if (matches.length === 1) {
+            return this.formatQuote(matches[0]);
+        }
+        return `${matches.length} quotes found for "${text}": ${matches.map(quote => `#${quote.number}`).join(', ')}`;
+    }
+
+    async reply(message) {
+        if (!global.twitchClient || !global.twitchClient.isConnected()) {
+            return;
+        }
+
+        try {
+            await global.twitchClient.sendMessage(message);
+        } catch (error) {
+            console.error('Failed to send quote reply:', error);
+        }
+    }
+
+    // Template variables: {quote} for a random quote, plus {quotes.count} and {quotes.latest}
+    getTemplateVariables() {
+        const latest = this.quotes[this.quotes.length - 1];
+        return {
+            quote: this.describeQuote(this.getRandomQuote(), ''),
+            quotes: {
+                count: this.quotes.length,
+                latest: this.describeQuote(latest, '')
+            }
+        };
+    }
+
+    emitUpdate() {
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('quotes:updated', this.getQuotes());
+        }
+    }
+}
+
+module.exports = QuoteManager;
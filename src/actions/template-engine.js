@@ -0,0 +1,234 @@
+const CommandParser = require('./command-parser');
+
+// Variables available to every trigger type
+const COMMON_VARIABLES = [
+    { name: 'date', description: 'Current date' },
+    { name: 'time', description: 'Current time' },
+    { name: 'vars.name', description: 'A global variable' },
+    { name: 'userVars.name', description: 'A variable of the user who triggered the action' },
+    { name: 'actionVars.name', description: 'A variable of this action' },
+    { name: 'quote', description: 'A random quote from the quote database' },
+    { name: 'quotes.count', description: 'Number of quotes' },
+    { name: 'quotes.latest', description: 'The most recently added quote' },
+    { name: 'response.status', description: 'HTTP status of the last HTTP request step' },
+    { name: 'response.data', description: 'Response body of the last HTTP request step (response.data.field for JSON)' }
+];
+
+// Documented variables per trigger type, shown in the step editor
+const TRIGGER_VARIABLES = {
+    command: [
+        { name: 'user', description: 'Display name of the chatter' },
+        { name: 'userName', description: 'Login name of the chatter' },
+        { name: 'command', description: 'Command name without the !' },
+        { name: 'args', description: 'Everything after the command' },
+        { name: 'args.0', description: 'First argument (args.1, args.2, ... for the rest); "quoted text" counts as one' },
+        { name: 'args.name', description: 'A declared argument by name, e.g. args.target' },
+        { name: 'rawMessage', description: 'The full chat message' },
+        { name: 'channel', description: 'Channel name' },
+        { name: 'isMod', description: 'true if the chatter is a moderator' },
+        { name: 'isVip', description: 'true if the chatter is a VIP' },
+        { name: 'isSubscriber', description: 'true if the chatter is a subscriber' }
+    ],
+    chat_message: [
+        { name: 'user', description: 'Display name of the chatter' },
+        { name: 'userName', description: 'Login name of the chatter' },
+        { name: 'message', description: 'The full chat message' },
+        { name: 'match', description: 'The part of the message that matched' },
+        { name: 'groups.1', description: 'First regex capture group (groups.2, ... or groups.name for named groups)' },
+        { name: 'channel', description: 'Channel name' },
+        { name: 'isMod', description: 'true if the chatter is a moderator' },
+        { name: 'isVip', description: 'true if the chatter is a VIP' },
+        { name: 'isSubscriber', description: 'true if the chatter is a subscriber' }
+    ],
+    channel_points: [
+        { name: 'user', description: 'Display name of the redeemer' },
+        { name: 'userId', description: 'Twitch user ID of the redeemer' },
+        { name: 'reward', description: 'Reward title' },
+        { name: 'rewardId', description: 'Reward ID' },
+        { name: 'userInput', description: 'Text entered by the viewer' }
+    ],
+    cheer: [
+        { name: 'user', description: 'Display name of the cheerer (Anonymous if hidden)' },
+        { name: 'userId', description: 'Twitch user ID of the cheerer' },
+        { name: 'bits', description: 'Number of bits cheered' },
+        { name: 'message', description: 'Cheer message' }
+    ],
+    subscriber: [
+        { name: 'user', description: 'Display name of the subscriber' },
+        { name: 'userId', description: 'Twitch user ID of the subscriber' },
+        { name: 'tier', description: 'Subscription tier (1000, 2000, 3000)' },
+        { name: 'isPrime', description: 'true if the sub used Prime; needs the chat connection, and is false if chat doesn\'t announce the sub within a few seconds' },
+        { name: 'gifterName', description: 'Name of the gifter, if gifted' },
+        { name: 'cumulativeMonths', description: 'Total months subscribed' },
+        { name: 'streakMonths', description: 'Current streak in months' },
+        { name: 'message', description: 'Resub message text (resubs only)' },
+        { name: 'isResub', description: 'true for resubscriptions' },
+        { name: 'isCommunityGift', description: 'true if the sub came from a community gift' }
+    ],
+    gift_bomb: [
+        { name: 'user', description: 'Display name of the gifter (Anonymous if hidden)' },
+        { name: 'userId', description: 'Twitch user ID of the gifter' },
+        { name: 'total', description: 'Number of subs gifted' },
+        { name: 'tier', description: 'Subscription tier (1000, 2000, 3000)' },
+        { name: 'cumulativeTotal', description: 'Total subs the gifter has gifted in the channel, if shared' }
+    ],
+    follow: [
+        { name: 'user', description: 'Display name of the follower' },
+        { name: 'userId', description: 'Twitch user ID of the follower' },
+        { name: 'followedAt', description: 'When the follow happened' }
+    ],
+    raid: [
+        { name: 'user', description: 'Display name of the raiding channel' },
+        { name: 'userId', description: 'Twitch user ID of the raiding channel' },
+        { name: 'viewers', description: 'Number of viewers in the raid' }
+    ],
+    stream_online: [
+        { name: 'broadcasterName', description: 'Display name of the channel' },
+        { name: 'streamType', description: 'Stream type (live, playlist, ...)' },
+        { name: 'startedAt', description: 'When the stream started' }
+    ],
+    stream_offline: [
+        { name: 'broadcasterName', description: 'Display name of the channel' }
+    ],
+    timer: [
+        { name: 'chatLines', description: 'Chat lines since the timer last ran' }
+    ],
+    webhook: [
+        { name: 'body', description: 'JSON body of the request' },
+        { name: 'body.field', description: 'A field from the JSON body (nested paths work too)' },
+        { name: 'query.field', description: 'A query string parameter' },
+        { name: 'webhookPath', description: 'Path the webhook was called on' }
+    ],
+    midi: [
+        { name: 'type', description: 'MIDI message type' },
+        { name: 'note', description: 'Note number' },
+        { name: 'velocity', description: 'Note velocity' },
+        { name: 'controller', description: 'CC controller number' },
+        { name: 'value', description: 'CC or pitch bend value' },
+        { name: 'channel', description: 'MIDI channel' }
+    ]
+};
+
+// Matches {name}, {name.path} and {name|fallback}
+const TEMPLATE_PATTERN = /\{([a-zA-Z_][\w.]*)(?:\|([^}]*))?\}/g;
+
+class TemplateEngine {
+    constructor(variableStore = null, quoteManager = null) {
+        this.commandParser = new CommandParser();
+        this.variableStore = variableStore;
+        this.quoteManager = quoteManager;
+    }
+
+    /**
+     * Replace {variables} in a template string with values from the trigger context
+     */
+    render(template, context = {}) {
+        if (typeof template !== 'string' || !template.includes('{')) {
+            return template;
+        }
+
+        const variables = this.buildVariables(context);
+
+        return template.replace(TEMPLATE_PATTERN, (match, variablePath, fallback) => {
+            const value = this.resolvePath(variables, variablePath);
+            if (value === undefined || value === null || value === '') {
+                return fallback !== undefined ? fallback : '';
+            }
+            return this.formatValue(value);
+        });
+    }
+
+    /**
+     * Build the variable set for a trigger context, adding friendly aliases
+     */
+    buildVariables(context = {}) {
+        const now = new Date();
+        const variables = {
+            ...context,
+            date: now.toLocaleDateString(),
+            time: now.toLocaleTimeString()
+        };
+
+        // Friendly user name, regardless of which trigger supplied it
+        if (context.isAnonymous) {
+            variables.user = 'Anonymous';
+        } else {
+            variables.user = context.displayName || context.userName || context.username || '';
+        }
+        variables.userName = context.userName || context.username || '';
+
+        if (context.rewardTitle !== undefined) {
+            variables.reward = context.rewardTitle;
+        }
+
+        // Stored variables, read live so a step sees values changed by earlier steps
+        if (this.variableStore) {
+            variables.vars = this.variableStore.getValues('global');
+            variables.userVars = this.variableStore.getValues('user', this.variableStore.getUserKey(context));
+            variables.actionVars = context.actionId ? this.variableStore.getValues('action', context.actionId) : {};
+        }
+
+        if (this.quoteManager) {
+            Object.assign(variables, this.quoteManager.getTemplateVariables());
+        }
+
+        // Command arguments are exposed as a list so {args.0} picks the first word,
+        // with declared arguments also available by name ({args.target})
+        if (context.rawMessage !== undefined || typeof context.args === 'string') {
+            variables.args = this.buildArgs(context);
+        }
+
+        return variables;
+    }
+
+    buildArgs(context) {
+        const args = this.splitArgs(context);
+        // Actions saved before reserved names were rejected could still declare one
+        Object.entries(context.namedArgs || {}).forEach(([name, value]) => {
+            if (!this.commandParser.isReservedName(name)) {
+                args[name] = value;
+            }
+        });
+        return args;
+    }
+
+    splitArgs(context) {
+        if (typeof context.args === 'string') {
+            return this.commandParser.tokenize(context.args);
+        }
+        return this.commandParser.tokenize(context.rawMessage).slice(1);
+    }
+
+    resolvePath(variables, variablePath) {
+        return variablePath.split('.').reduce((value, key) => {
+            if (value === undefined || value === null) {
+                return undefined;
+            }
+            return value[key];
+        }, variables);
+    }
+
+    formatValue(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatValue(item)).join(' ');
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Get documented variables, keyed by trigger type
+     */
+    getAvailableVariables() {
+        const result = {};
+        for (const [triggerType, variables] of Object.entries(TRIGGER_VARIABLES)) {
+            result[triggerType] = [...variables, ...COMMON_VARIABLES];
+        }
+        result.common = [...COMMON_VARIABLES];
+        return result;
+    }
+}
+
+module.exports = TemplateEngine;
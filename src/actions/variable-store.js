@@ -0,0 +1,203 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const SCOPES = ['global', 'user', 'action'];
+
+/**
+ * Keys come from chat (user logins, {args.0}), so keep them in objects without a
+ * prototype: "__proto__" or "constructor" are then ordinary keys
+ */
+function createMap(values = {}) {
+    return Object.assign(Object.create(null), values);
+}
+
+function createNestedMap(entries = {}) {
+    const map = createMap();
+    for (const [key, values] of Object.entries(entries)) {
+        map[key] = createMap(values);
+    }
+    return map;
+}
+
+/**
+ * Values that survive between action runs and restarts.
+ * Global variables have one value, user variables one per chatter (keyed by login)
+ * and action variables one per action (keyed by action ID).
+ */
+class VariableStore {
+    constructor() {
+        this.variables = { global: createMap(), user: createMap(), action: createMap() };
+        this.variablesFile = path.join(__dirname, '..', '..', 'data', 'variables.json');
+        this.pendingSave = Promise.resolve();
+        this.changeListeners = [];
+    }
+
+    async loadVariables() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.variablesFile, 'utf8'));
+            this.variables = {
+                global: createMap(data.global),
+                user: createNestedMap(data.user),
+                action: createNestedMap(data.action)
+            };
+            console.log(`Loaded ${Object.keys(this.variables.global).length} global variables`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log('Variables file not found, starting with no variables');
+                return this.getAll();
+            }
+            console.error('Error loading variables:', error);
+            throw error;
+        }
+        return this.getAll();
+    }
+
+    saveVariables() {
+        // Chain writes so quick increments never write the file concurrently
+        const save = this.pendingSave.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.variablesFile), { recursive: true });
+                await fs.writeFile(this.variablesFile, JSON.stringify(this.variables, null, 2));
+            } catch (error) {
+                console.error('Error saving variables:', error);
+                throw error;
+            }
+        });
+        // A failed write shouldn't block the ones after it
+        this.pendingSave = save.catch(() => {});
+        return save;
+    }
+
+    // Reading
+    getValues(scope, key = '') {
+        this.checkScope(scope);
+        if (scope === 'global') {
+            return this.variables.global;
+        }
+        return this.variables[scope][this.normalizeKey(scope, key)] || createMap();
+    }
+
+    get(scope, key, name) {
+        return this.getValues(scope, key)[name];
+    }
+
+    getAll() {
+        return this.variables;
+    }
+
+    // Writing
+    async set(scope, key, name, value) {
+        const values = this.getWritableValues(scope, key);
+        values[this.checkName(name)] = this.parseValue(value);
+        await this.afterChange();
+        return values[name];
+    }
+
+    async increment(scope, key, name, amount = 1) {
+        const current = this.get(scope, key, this.checkName(name));
+        const currentNumber = current === undefined || current === '' ? 0 : Number(current);
+        const step = Number(amount);
+
+        if (!Number.isFinite(currentNumber)) {
+            throw new Error(`Variable ${name} is not a number`);
+        }
+        if (!Number.isFinite(step)) {
+            throw new Error(`Can't change ${name} by "${amount}", it is not a number`);
+        }
+
+        return this.set(scope, key, name, currentNumber + step);
+    }
+
+    async reset(scope, key, name) {
+        this.checkScope(scope);
+        const normalizedKey = this.normalizeKey(scope, key);
+        const values = scope === 'global' ? this.variables.global : this.variables[scope][normalizedKey];
+
+        if (values && name in values) {
+            delete values[name];
+            // Don't keep empty entries for every chatter that was ever reset
+            if (scope !== 'global' && Object.keys(values).length === 0) {
+                delete this.variables[scope][normalizedKey];
+            }
+            await this.afterChange();
+        }
+    }
+
+    getWritableValues(scope, key) {
+        this.checkScope(scope);
+        if (scope === 'global') {
+            return this.variables.global;
+        }
+
+        const normalizedKey = this.normalizeKey(scope, key);
+        if (!normalizedKey) {
+            throw new Error(`A ${scope} variable needs a ${scope === 'user' ? 'user' : 'action'}`);
+        }
+        this.variables[scope][normalizedKey] = this.variables[scope][normalizedKey] || createMap();
+        return this.variables[scope][normalizedKey];
+    }
+
+    async afterChange() {
+        await this.saveVariables();
+        this.emitUpdate();
+
+        for (const listener of this.changeListeners) {
+            try {
+                await listener();
+            } catch (error) {
+                console.error('Variable change listener failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Run a callback after every change, whichever step, command or tab made it
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    // Helpers
+    checkScope(scope) {
+        if (!SCOPES.includes(scope)) {
+            throw new Error(`Unknown variable scope: ${scope}`);
+        }
+    }
+
+    checkName(name) {
+        // Same characters {templates} accept, so every variable can be shown with {vars.name}
+        if (!name || !/^\w+$/.test(name)) {
+            throw new Error(`Invalid variable name "${name || ''}", use letters, digits or _`);
+        }
+        return name;
+    }
+
+    /**
+     * Login of the user who triggered an action, used as the key for user variables
+     */
+    getUserKey(context = {}) {
+        return this.normalizeKey('user', context.username || context.userLogin || context.userName || '');
+    }
+
+    normalizeKey(scope, key) {
+        const text = String(key || '').trim();
+        // Usernames are case-insensitive on Twitch, so "@Bob" and "bob" share values
+        return scope === 'user' ? text.replace(/^@/, '').toLowerCase() : text;
+    }
+
+    parseValue(value) {
+        // Keep numbers as numbers so they can be incremented later
+        if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    emitUpdate() {
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('variables:updated', this.getAll());
+        }
+    }
+}
+
+module.exports = VariableStore;
@@ -0,0 +1,310 @@
+const WebSocket = require('ws');
+const crypto = require('crypto');
+
+/**
+ * Local WebSocket control API for external tools (stream decks, scripts).
+ *
+ * Clients authenticate with ?token=... in the URL or by sending
+ * { "type": "auth", "token": "..." } as their first message.
+ *
+ * Requests:  { "id": 1, "type": "actions.list" }
+ *            { "id": 2, "type": "actions.execute", "actionId": "...", "name": "...", "args": "a b" }
+ *            { "id": 3, "type": "status.get" }
+ *            { "id": 4, "type": "events.subscribe", "events": ["chat", "cheer"] }  (omit events for all)
+ *            { "id": 5, "type": "events.unsubscribe" }
+ * Responses: { "id": 1, "type": "response", "success": true, "data": ... }
+ * Events:    { "type": "event", "event": "chat", "data": { ... } }
+ */
+// Connections that haven't authenticated by then are closed
+const AUTH_TIMEOUT_MS = 5000;
+
+const EVENT_TYPES = ['chat', 'command', 'cheer', 'channel_points', 'subscriber', 'gift_bomb', 'follow', 'raid', 'stream_online', 'stream_offline', 'action'];
+
+class ControlServer {
+    constructor() {
+        this.server = null;
+        this.config = null;
+        this.clients = new Set();
+    }
+
+    async start(config) {
+        if (this.server) {
+            await this.stop();
+        }
+
+        const port = parseInt(config.port) || 8765;
+        if (!config.token) {
+            throw new Error('Control API requires an access token');
+        }
+
+        await new Promise((resolve, reject) => {
+            const server = new WebSocket.Server({ host: '127.0.0.1', port });
+            server.once('listening', () => {
+                server.off('error', reject);
+                this.server = server;
+                resolve();
+            });
+            server.once('error', reject);
+        });
+
+        this.config = { ...config, port };
+        this.server.on('connection', (socket, request) => this.handleConnection(socket, request));
+        // Without a listener a later server error would crash the main process
+        this.server.on('error', (error) => console.error('Control API server error:', error));
+        console.log(`Control API listening on ws://127.0.0.1:${port}`);
+    }
+
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        for (const client of this.clients) {
+            client.socket.close(1001, 'Server shutting down');
+        }
+        this.clients.clear();
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+        this.config = null;
+        console.log('Control API stopped');
+    }
+
+    /**
+     * Apply settings, only restarting the server when something relevant changed
+     */
+    async configure(config = {}) {
+        if (!config.enabled) {
+            await this.stop();
+            return this.getStatus();
+        }
+
+        const port = parseInt(config.port) || 8765;
+        if (this.server && this.config.port === port && this.config.token === config.token) {
+            return this.getStatus();
+        }
+
+        await this.start(config);
+        return this.getStatus();
+    }
+
+    isRunning() {
+        return this.server !== null;
+    }
+
+    getStatus() {
+        return {
+            running: this.isRunning(),
+            port: this.config ? this.config.port : null,
+            clients: this.clients.size
+        };
+    }
+
+    // Connections
+    handleConnection(socket, request) {
+        const client = {
+            socket,
+            authenticated: false,
+            subscriptions: null, // null = not subscribed, Set = subscribed event types
+            authTimeout: null
+        };
+        this.clients.add(client);
+
+        client.authTimeout = setTimeout(() => {
+            if (!client.authenticated) {
+                this.send(client, { type: 'auth', success: false, error: 'Authentication timed out' });
+                client.socket.close(4001, 'Authentication timed out');
+                this.clients.delete(client);
+            }
+        }, AUTH_TIMEOUT_MS);
+
+        // Allow the token in the URL for clients that can't send an auth message first
+        const url = new URL(request.url, 'ws://127.0.0.1');
+        const queryToken = url.searchParams.get('token');
+        if (queryToken !== null) {
+            if (!this.authenticate(client, queryToken)) {
+                return;
+            }
+        }
+
+        socket.on('message', (data) => {
+            this.handleMessage(client, data).catch(error => {
+                console.error('Control API message error:', error);
+                this.send(client, { type: 'response', success: false, error: 'Internal error' });
+            });
+        });
+        socket.on('close', () => {
+            clearTimeout(client.authTimeout);
+            this.clients.delete(client);
+        });
+        socket.on('error', (error) => console.error('Control API client error:', error));
+    }
+
+    authenticate(client, token) {
+        clearTimeout(client.authTimeout);
+
+        if (!this.isValidToken(token)) {
+            this.send(client, { type: 'auth', success: false, error: 'Invalid token' });
+            client.socket.close(4001, 'Invalid token');
+            this.clients.delete(client);
+            return false;
+        }
+
+        client.authenticated = true;
+        this.send(client, { type: 'auth', success: true });
+        return true;
+    }
+
+    isValidToken(token) {
+        if (typeof token !== 'string' || !this.config) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.config.token);
+        const received = Buffer.from(token);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    async handleMessage(client, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.send(client, { type: 'response', success: false, error: 'Invalid JSON' });
+            return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            this.send(client, { type: 'response', success: false, error: 'Invalid request' });
+            return;
+        }
+
+        if (!client.authenticated) {
+            if (message.type === 'auth') {
+                this.authenticate(client, message.token);
+            } else {
+                this.send(client, { id: message.id, type: 'response', success: false, error: 'Not authenticated' });
+            }
+            return;
+        }
+
+        try {
+            const result = await this.handleRequest(client, message);
+            this.send(client, { id: message.id, type: 'response', success: true, data: result });
+        } catch (error) {
+            this.send(client, { id: message.id, type: 'response', success: false, error: error.message });
+        }
+    }
+
+    async handleRequest(client, message) {
+        switch (message.type) {
+            case 'actions.list':
+                return this.listActions();
+
+            case 'actions.execute':
+                return this.executeAction(message);
+
+            case 'status.get':
+                return this.getServiceStatus();
+
+            case 'events.subscribe': {
+                const events = Array.isArray(message.events) ? message.events : EVENT_TYPES;
+                const unknown = events.filter(event => !EVENT_TYPES.includes(event));
+                if (unknown.length > 0) {
+                    throw new Error(`Unknown event type(s): ${unknown.join(', ')}`);
+                }
+                client.subscriptions = new Set(events);
+                return { events };
+            }
+
+            case 'events.unsubscribe':
+                client.subscriptions = null;
+                return { events: [] };
+
+            default:
+                throw new Error(`Unknown request type: ${message.type}`);
+        }
+    }
+
+    // Requests
+    listActions() {
+        if (!global.actionManager) {
+            throw new Error('Action manager not available');
+        }
+
+        return global.actionManager.getActions().map(action => ({
+            id: action.id,
+            name: action.name,
+            triggers: (action.triggers || []).map(trigger => trigger.type),
+            queue: action.queue || null
+        }));
+    }
+
+    async executeAction(message) {
+        if (!global.actionManager) {
+            throw new Error('Action manager not available');
+        }
+
+        const actions = global.actionManager.getActions();
+        const action = message.actionId ?
+            actions.find(a => a.id === message.actionId) :
+            actions.find(a => a.name && message.name && a.name.toLowerCase() === String(message.name).toLowerCase());
+
+        if (!action) {
+            throw new Error(`Action ${message.actionId || message.name} not found`);
+        }
+
+        const args = Array.isArray(message.args) ? message.args.join(' ') : (message.args || '');
+        const context = {
+            ...(message.context || {}),
+            args,
+            source: 'api'
+        };
+
+        await global.actionManager.triggerAction(action, context);
+        return { actionId: action.id, name: action.name };
+    }
+
+    async getServiceStatus() {
+        const obsClient = global.obsClient;
+        const twitchClient = global.twitchClient;
+        const twitchAPIClient = global.twitchAPIClient;
+        const midiClient = global.midiClient;
+
+        return {
+            obs: obsClient ? {
+                connected: obsClient.isConnected(),
+                reconnection: obsClient.getReconnectionStatus()
+            } : null,
+            twitch: twitchClient ? twitchClient.getStatus() : null,
+            twitchApi: twitchAPIClient ? {
+                authenticated: Boolean(twitchAPIClient.isAuthenticated()),
+                user: twitchAPIClient.getUser()?.display_name || null
+            } : null,
+            midi: midiClient ? {
+                connected: midiClient.getStatus().connected,
+                device: midiClient.getStatus().device
+            } : null
+        };
+    }
+
+    // Events
+    broadcastEvent(event, data) {
+        if (!this.server) {
+            return;
+        }
+
+        for (const client of this.clients) {
+            if (client.authenticated && client.subscriptions && client.subscriptions.has(event)) {
+                this.send(client, { type: 'event', event, data });
+            }
+        }
+    }
+
+    send(client, payload) {
+        if (client.socket.readyState === WebSocket.OPEN) {
+            client.socket.send(JSON.stringify(payload));
+        }
+    }
+}
+
+module.exports = ControlServer;
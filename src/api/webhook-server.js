@@ -0,0 +1,102 @@
+const express = require('express');
+
+class WebhookServer {
+    constructor() {
+        this.server = null;
+        this.config = null;
+    }
+
+    async start(config) {
+        if (this.server) {
+            await this.stop();
+        }
+
+        const port = parseInt(config.port) || 3001;
+        // Only listen on all interfaces when explicitly allowed, so LAN devices can reach us
+        const host = config.allowRemote ? '0.0.0.0' : '127.0.0.1';
+
+        const app = express();
+        app.use(express.json({ limit: '1mb' }));
+
+        // Handle webhook calls: POST /hooks/<path> with the secret in a header or ?secret=.
+        // Paths may have several segments (/hooks/obs/scene), Express hands them over as a list
+        app.all('/hooks/*path', async (req, res) => {
+            try {
+                const secret = req.get('X-Webhook-Secret') || req.query.secret || '';
+                const query = { ...req.query };
+                delete query.secret;
+
+                const result = await global.actionManager.handleWebhookTrigger(req.params.path.join('/'), secret, {
+                    method: req.method,
+                    body: req.body || {},
+                    query
+                });
+
+                res.status(result.status).json(result.response);
+            } catch (error) {
+                console.error('Webhook processing error:', error);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Malformed JSON bodies end up here
+        app.use((error, req, res, next) => {
+            res.status(400).json({ success: false, error: `Invalid request: ${error.message}` });
+        });
+
+        // No listen callback: Express 5 also calls it with startup errors
+        await new Promise((resolve, reject) => {
+            const server = app.listen(port, host);
+            server.once('listening', () => {
+                server.off('error', reject);
+                this.server = server;
+                resolve();
+            });
+            server.once('error', reject);
+        });
+
+        this.config = { ...config, port, host };
+        // Without a listener a later server error would crash the main process
+        this.server.on('error', (error) => console.error('Webhook server error:', error));
+        console.log(`Webhook server listening on http://${host}:${port}/hooks/`);
+    }
+
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+        this.config = null;
+        console.log('Webhook server stopped');
+    }
+
+    /**
+     * Apply settings, only restarting the server when something relevant changed
+     */
+    async configure(config = {}) {
+        if (!config.enabled) {
+            await this.stop();
+            return this.getStatus();
+        }
+
+        const port = parseInt(config.port) || 3001;
+        if (this.server && this.config.port === port && this.config.allowRemote === Boolean(config.allowRemote)) {
+            return this.getStatus();
+        }
+
+        await this.start({ ...config, allowRemote: Boolean(config.allowRemote) });
+        return this.getStatus();
+    }
+
+    getStatus() {
+        return {
+            running: this.server !== null,
+            port: this.config ? this.config.port : null,
+            host: this.config ? this.config.host : null
+        };
+    }
+}
+
+module.exports = WebhookServer;
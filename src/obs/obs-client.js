@@ -180,6 +180,24 @@ class OBSClient {
         return this.toggleSource(sourceName, false);
     }
 
+    // Works for the GDI+ (Windows) and FreeType 2 (macOS/Linux) text sources, which both use "text"
+    async setInputText(inputName, text) {
+        if (!this.connected) {
+            throw new Error('Not connected to OBS');
+        }
+
+        try {
+            await this.obs.call('SetInputSettings', {
+                inputName,
+                inputSettings: { text: String(text) }
+            });
+            return true;
+        } catch (error) {
+            console.error('Error setting source text:', error);
+            throw error;
+        }
+    }
+
     async getCurrentScene() {
         if (!this.connected) {
             throw new Error('Not connected to OBS');
@@ -233,6 +251,20 @@ class OBSClient {
         }
     }
 
+    async isStreaming() {
+        if (!this.connected) {
+            return false;
+        }
+
+        try {
+            const { outputActive } = await this.obs.call('GetStreamStatus');
+            return outputActive;
+        } catch (error) {
+            console.error('Error getting stream status:', error);
+            throw error;
+        }
+    }
+
     async getStatus() {
         if (!this.connected) {
             return { connected: false };
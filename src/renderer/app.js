@@ -6,6 +6,16 @@ class DebbotApp {
         this.settings = {};
         this.obsConnected = false;
         this.twitchConnected = false;
+        this.templateVariables = {};
+        this.cooldowns = {};
+        this.queues = [];
+        this.rewards = [];
+        this.variables = {};
+        this.counters = [];
+        this.quotes = [];
+        this.cooldownTicker = null;
+        this.lastFocusedStepInput = null;
+        this.eventSubStatus = 'disconnected';
 
         this.initializeApp();
         this.setupEventListeners();
@@ -23,7 +33,7 @@ class DebbotApp {
     }
 
     setupTabs() {
-        const tabs = ['actions', 'settings', 'logs'];
+        const tabs = ['actions', 'queues', 'rewards', 'variables', 'counters', 'quotes', 'simulator', 'settings', 'logs'];
         const tabElements = tabs.map(tab => document.getElementById(`${tab}-tab`));
 
         tabElements.forEach((tabElement, index) => {
@@ -45,6 +55,16 @@ class DebbotApp {
             panel.classList.remove('active');
         });
         document.getElementById(`${tabName}-panel`).classList.add('active');
+
+        if (tabName === 'rewards') {
+            this.loadRewards();
+        } else if (tabName === 'variables') {
+            this.loadVariables();
+        } else if (tabName === 'counters') {
+            this.loadCounters();
+        } else if (tabName === 'quotes') {
+            this.loadQuotes();
+        }
     }
 
     setupModal() {
@@ -84,13 +104,49 @@ class DebbotApp {
         // Add trigger button
         document.getElementById('add-trigger-btn').addEventListener('click', () => this.addTrigger());
 
+        // Remember the last focused step value so template variables can be inserted into it
+        document.getElementById('action-steps').addEventListener('focusin', (e) => {
+            if (e.target.matches('.step-value, .condition-left, .condition-right, .http-headers, .http-body, .reward-step-title, .reward-step-cost, .reward-step-prompt')) {
+                this.lastFocusedStepInput = e.target;
+            }
+        });
+
         // Permission checkboxes
-        ['perm-viewer', 'perm-moderator', 'perm-broadcaster'].forEach(id => {
+        ['perm-viewer', 'perm-subscriber', 'perm-founder', 'perm-vip', 'perm-moderator', 'perm-broadcaster'].forEach(id => {
             document.getElementById(id).addEventListener('change', () => {
                 this.validatePermissions();
             });
         });
 
+        // Queues
+        document.getElementById('save-queue-btn').addEventListener('click', () => this.saveQueue());
+
+        // Rewards
+        document.getElementById('refresh-rewards-btn').addEventListener('click', () => this.loadRewards());
+        document.getElementById('save-reward-btn').addEventListener('click', () => this.saveReward());
+        document.getElementById('new-reward-btn').addEventListener('click', () => this.resetRewardForm());
+
+        // Variables
+        document.getElementById('save-variable-btn').addEventListener('click', () => this.saveVariable());
+        document.getElementById('variable-scope').addEventListener('change', () => this.updateVariableOwnerFields());
+
+        // Counters
+        document.getElementById('save-counter-btn').addEventListener('click', () => this.saveCounter());
+        document.getElementById('new-counter-btn').addEventListener('click', () => this.resetCounterForm());
+
+        // Quotes
+        document.getElementById('save-quote-btn').addEventListener('click', () => this.saveQuote());
+        document.getElementById('new-quote-btn').addEventListener('click', () => this.resetQuoteForm());
+        document.getElementById('quote-search').addEventListener('input', () => this.renderQuotes());
+
+        // Event Simulator
+        document.getElementById('simulator-start-btn').addEventListener('click', () => this.startSimulator());
+        document.getElementById('simulator-stop-btn').addEventListener('click', () => this.stopSimulator());
+        document.getElementById('simulator-send-btn').addEventListener('click', () => this.sendSimulatorMessage());
+        document.getElementById('simulator-reset-btn').addEventListener('click', () => this.loadSimulatorSample());
+        document.getElementById('simulator-message-type').addEventListener('change', () => this.loadSimulatorSample());
+        document.getElementById('simulator-subscription-type').addEventListener('change', () => this.loadSimulatorSample());
+
         // Logs
         document.getElementById('clear-logs-btn').addEventListener('click', () => this.clearLogs());
 
@@ -101,6 +157,9 @@ class DebbotApp {
         document.getElementById('midi-refresh-btn').addEventListener('click', () => this.refreshMIDIDevices());
         document.getElementById('midi-test-btn').addEventListener('click', () => this.testMIDIConnection());
 
+        // Control API
+        document.getElementById('control-api-generate-btn').addEventListener('click', () => this.generateControlAPIToken());
+
         // Twitch API
         document.getElementById('twitch-api-login-btn').addEventListener('click', () => this.authenticateTwitchAPI());
         document.getElementById('twitch-api-logout-btn').addEventListener('click', () => this.logoutTwitchAPI());
@@ -120,10 +179,18 @@ class DebbotApp {
             window.electronAPI.onTwitchCommand((event, command) => this.onTwitchCommand(command));
 
             window.electronAPI.onActionTriggered((event, action) => this.onActionTriggered(action));
+            window.electronAPI.onActionCooldown((event, data) => this.onActionCooldown(data));
+            window.electronAPI.onQueuesUpdated((event, queues) => this.onQueuesUpdated(queues));
+            window.electronAPI.onActionsUpdated((event, actions) => this.onActionsUpdated(actions));
+            window.electronAPI.onVariablesUpdated((event, variables) => this.onVariablesUpdated(variables));
+            window.electronAPI.onCountersUpdated((event, counters) => this.onCountersUpdated(counters));
+            window.electronAPI.onQuotesUpdated((event, quotes) => this.onQuotesUpdated(quotes));
             window.electronAPI.onLogMessage((event, log) => this.addLogEntry(log));
 
             window.electronAPI.onTwitchAPIAuthenticated((event, data) => this.onTwitchAPIAuthenticated(data));
             window.electronAPI.onTwitchAPILoggedOut(() => this.onTwitchAPILoggedOut());
+            window.electronAPI.onEventSubStatus((event, data) => this.onEventSubStatus(data));
+            window.electronAPI.onSimulatorStatus((event, status) => this.setSimulatorStatus(status));
 
             // Listen for channel point redeems
             window.electronAPI.onChannelPointRedeem((event, redeemData) => this.onChannelPointRedeem(redeemData));
@@ -133,6 +200,13 @@ class DebbotApp {
 
             // Listen for subscribers
             window.electronAPI.onSubscriber((event, subscriberData) => this.onSubscriber(subscriberData));
+            window.electronAPI.onGiftBomb((event, giftData) => this.onGiftBomb(giftData));
+
+            // Listen for follows, raids and stream status changes
+            window.electronAPI.onFollow((event, followData) => this.onFollow(followData));
+            window.electronAPI.onRaid((event, raidData) => this.onRaid(raidData));
+            window.electronAPI.onStreamOnline((event, streamData) => this.onStreamOnline(streamData));
+            window.electronAPI.onStreamOffline((event, streamData) => this.onStreamOffline(streamData));
 
             // Listen for MIDI events
             window.electronAPI.onMIDIConnected((event, data) => this.onMIDIConnected(data));
@@ -162,12 +236,27 @@ class DebbotApp {
             const apiStatus = await window.electronAPI.getTwitchAPIStatus();
             if (apiStatus.authenticated) {
                 this.onTwitchAPIAuthenticated({ user: apiStatus.user });
+                if (apiStatus.missingScopes.length > 0) {
+                    this.onTwitchAPIScopesMissing(apiStatus.missingScopes);
+                }
             }
+            this.setEventSubStatus(await window.electronAPI.getEventSubStatus());
+
+            // Load template variable reference for the step editor
+            this.templateVariables = await window.electronAPI.getTemplateVariables() || {};
 
             // Load actions
             this.actions = await window.electronAPI.loadActions() || [];
+            this.cooldowns = await window.electronAPI.getCooldowns() || {};
             this.renderActions();
 
+            // Load action queues
+            this.queues = await window.electronAPI.getQueueStatus() || [];
+            this.renderQueues();
+
+            // Event Simulator
+            await this.loadSimulator();
+
             // Auto-connect to services after data is loaded
             setTimeout(() => {
                 this.autoConnectServices();
@@ -194,6 +283,20 @@ class DebbotApp {
         // Populate MIDI settings
         this.populateMIDIDevices();
         document.getElementById('midi-device').value = this.settings.midi?.device || '';
+
+        // Populate control API settings
+        document.getElementById('control-api-enabled').checked = this.settings.controlApi?.enabled === true;
+        document.getElementById('control-api-port').value = this.settings.controlApi?.port || 8765;
+        document.getElementById('control-api-token').value = this.settings.controlApi?.token || '';
+        this.refreshControlAPIStatus();
+
+        document.getElementById('eventsub-url').value = this.settings.eventSub?.url || '';
+        document.getElementById('simulator-port').value = this.settings.eventSub?.simulatorPort || 8081;
+
+        document.getElementById('webhooks-enabled').checked = this.settings.webhooks?.enabled === true;
+        document.getElementById('webhooks-port').value = this.settings.webhooks?.port || 3001;
+        document.getElementById('webhooks-allow-remote').checked = this.settings.webhooks?.allowRemote === true;
+        this.refreshWebhookStatus();
     }
 
     updateTriggerFields(triggerType) {
@@ -208,7 +311,7 @@ class DebbotApp {
         } else if (triggerType === 'channel_points') {
             commandGroup.style.display = 'none';
             channelPointsGroup.style.display = 'block';
-            permissionsGroup.style.display = 'none'; // Channel points don't need permissions
+            permissionsGroup.style.display = 'block';
             this.populateChannelPointRewards();
         } else {
             commandGroup.style.display = 'none';
@@ -434,6 +537,28 @@ class DebbotApp {
         document.getElementById('perm-viewer').checked = this.currentAction.permissions?.viewer ?? true;
         document.getElementById('perm-moderator').checked = this.currentAction.permissions?.moderator ?? true;
         document.getElementById('perm-broadcaster').checked = this.currentAction.permissions?.broadcaster ?? true;
+        document.getElementById('perm-subscriber').checked = this.currentAction.permissions?.subscriber ?? false;
+        document.getElementById('perm-founder').checked = this.currentAction.permissions?.founder ?? false;
+        document.getElementById('perm-vip').checked = this.currentAction.permissions?.vip ?? false;
+        document.getElementById('perm-min-sub-months').value = this.currentAction.permissions?.minSubMonths || '';
+        document.getElementById('perm-allow-users').value = (this.currentAction.permissions?.allowUsers || []).join(', ');
+        document.getElementById('perm-deny-users').value = (this.currentAction.permissions?.denyUsers || []).join(', ');
+
+        // Set queue
+        this.populateQueueOptions(this.currentAction.queue || '');
+
+        // Set cooldowns
+        const cooldown = this.currentAction.cooldown || {};
+        document.getElementById('cooldown-global').value = cooldown.global || '';
+        document.getElementById('cooldown-user').value = cooldown.user || '';
+        document.getElementById('cooldown-bypass-mods').checked = cooldown.bypassMods ?? false;
+        document.getElementById('cooldown-bypass-broadcaster').checked = cooldown.bypassBroadcaster ?? true;
+        document.getElementById('cooldown-reply').value = cooldown.reply || '';
+
+        // Set refund on failure
+        const refund = this.currentAction.refund || {};
+        document.getElementById('refund-enabled').checked = refund.enabled ?? false;
+        document.getElementById('refund-message').value = refund.message || '';
 
         this.renderTriggers();
         this.renderActionSteps();
@@ -449,15 +574,150 @@ class DebbotApp {
         document.getElementById('action-name').value = '';
         document.getElementById('triggers-container').innerHTML = '';
         document.getElementById('action-steps').innerHTML = '';
+        document.getElementById('template-variables').innerHTML = '';
+        this.lastFocusedStepInput = null;
     }
 
     collectCurrentStepValues() {
-        // Collect current values from all step form elements
-        const stepElements = document.querySelectorAll('.action-step');
-        this.currentAction.steps = Array.from(stepElements).map(stepElement => ({
-            type: stepElement.querySelector('.step-type').value,
-            value: stepElement.querySelector('.step-value').value.trim()
-        }));
+        // Collect current values from all step form elements, including nested if/else blocks
+        this.currentAction.steps = this.collectStepList(document.getElementById('action-steps'));
+    }
+
+    collectStepList(container) {
+        const stepElements = container.querySelectorAll(':scope > .action-step');
+        return Array.from(stepElements).map(stepElement => this.collectStep(stepElement));
+    }
+
+    collectStep(stepElement) {
+        const type = stepElement.querySelector(':scope > .step-type').value;
+
+        if (type === 'http_request') {
+            return this.collectHttpRequestStep(stepElement);
+        }
+
+        if (type === 'reward_create' || type === 'reward_update') {
+            return this.collectRewardStep(stepElement, type);
+        }
+
+        if (type.startsWith('variable_')) {
+            return this.collectVariableStep(stepElement, type);
+        }
+
+        if (type !== 'if') {
+            const valueInput = stepElement.querySelector(':scope > .step-value');
+            return {
+                type,
+                value: valueInput ? valueInput.value.trim() : ''
+            };
+        }
+
+        // The type was just switched to "if", so there is no nested UI to read yet
+        if (!stepElement.classList.contains('action-step-if')) {
+            return this.createConditionalStep();
+        }
+
+        const conditionElements = stepElement.querySelectorAll(':scope > .step-conditions > .step-condition');
+        return {
+            type: 'if',
+            match: stepElement.querySelector(':scope > .condition-match').value,
+            conditions: Array.from(conditionElements).map(conditionElement => ({
+                left: conditionElement.querySelector('.condition-left').value.trim(),
+                operator: conditionElement.querySelector('.condition-operator').value,
+                right: conditionElement.querySelector('.condition-right').value.trim()
+            })),
+            then: this.collectStepList(stepElement.querySelector(':scope > .step-branch-then > .step-list')),
+            else: this.collectStepList(stepElement.querySelector(':scope > .step-branch-else > .step-list'))
+        };
+    }
+
+    collectHttpRequestStep(stepElement) {
+        const url = stepElement.querySelector(':scope > .step-value').value.trim();
+
+        // The type was just switched, so only the URL field exists yet
+        if (!stepElement.classList.contains('action-step-http')) {
+            return { type: 'http_request', value: url, method: 'GET', headers: '', body: '', timeout: 10 };
+        }
+
+        return {
+            type: 'http_request',
+            value: url,
+            method: stepElement.querySelector('.http-method').value,
+            headers: stepElement.querySelector('.http-headers').value.trim(),
+            body: stepElement.querySelector('.http-body').value.trim(),
+            timeout: parseFloat(stepElement.querySelector('.http-timeout').value) || 10
+        };
+    }
+
+    collectRewardStep(stepElement, type) {
+        const step = {
+            type,
+            value: stepElement.querySelector(':scope > .step-value').value.trim()
+        };
+
+        // The type was just switched, so the reward fields don't exist yet
+        if (!stepElement.classList.contains('action-step-reward')) {
+            return step;
+        }
+
+        step.cost = stepElement.querySelector('.reward-step-cost').value.trim();
+        step.prompt = stepElement.querySelector('.reward-step-prompt').value.trim();
+        if (type === 'reward_update') {
+            step.title = stepElement.querySelector('.reward-step-title').value.trim();
+        }
+        return step;
+    }
+
+    collectVariableStep(stepElement, type) {
+        const step = {
+            type,
+            value: stepElement.querySelector(':scope > .step-value').value.trim()
+        };
+
+        // The type was just switched, so the variable fields don't exist yet
+        if (!stepElement.classList.contains('action-step-variable')) {
+            step.scope = 'global';
+            return step;
+        }
+
+        step.scope = stepElement.querySelector('.variable-step-scope').value;
+        step.user = stepElement.querySelector('.variable-step-user').value.trim();
+        const input = stepElement.querySelector('.variable-step-input');
+        if (type === 'variable_set') {
+            step.newValue = input.value;
+        } else if (type !== 'variable_reset') {
+            step.amount = input.value.trim();
+        }
+        return step;
+    }
+
+    createConditionalStep() {
+        return {
+            type: 'if',
+            match: 'all',
+            conditions: [{ left: '', operator: 'equals', right: '' }],
+            then: [],
+            else: []
+        };
+    }
+
+    // Step paths look like "2" for top-level steps or "2/then/0" for nested ones
+    getStepList(listPath) {
+        let list = this.currentAction.steps;
+        if (listPath === '' || listPath === undefined || listPath === null) {
+            return list;
+        }
+
+        const segments = String(listPath).split('/');
+        for (let i = 0; i < segments.length; i += 2) {
+            list = list[parseInt(segments[i])][segments[i + 1]];
+        }
+        return list;
+    }
+
+    getStepByPath(stepPath) {
+        const segments = String(stepPath).split('/');
+        const index = parseInt(segments.pop());
+        return { list: this.getStepList(segments.join('/')), index };
     }
 
     collectTriggerValues() {
@@ -470,9 +730,47 @@ class DebbotApp {
             if (type === 'command') {
                 const commandInput = triggerElement.querySelector('.trigger-command');
                 config.command = commandInput ? commandInput.value.trim() : '';
+                config.aliases = triggerElement.querySelector('.trigger-command-aliases').value
+                    .split(/[\s,]+/)
+                    .filter(alias => alias);
+                config.args = Array.from(triggerElement.querySelectorAll('.command-arg')).map(argElement => ({
+                    name: argElement.querySelector('.command-arg-name').value.trim(),
+                    type: argElement.querySelector('.command-arg-type').value,
+                    required: argElement.querySelector('.command-arg-required').checked
+                }));
             } else if (type === 'channel_points') {
                 const rewardSelect = triggerElement.querySelector('.trigger-reward');
                 config.reward = rewardSelect ? rewardSelect.value : '';
+            } else if (type === 'timer') {
+                config.interval = parseFloat(triggerElement.querySelector('.trigger-timer-interval').value) || 0;
+                config.minChatLines = parseInt(triggerElement.querySelector('.trigger-timer-chat-lines').value) || 0;
+                config.onlyWhenLive = triggerElement.querySelector('.trigger-timer-live').checked;
+            } else if (type === 'chat_message') {
+                config.matchType = triggerElement.querySelector('.trigger-chat-match').value;
+                config.pattern = triggerElement.querySelector('.trigger-chat-pattern').value;
+                config.caseSensitive = triggerElement.querySelector('.trigger-chat-case').checked;
+                config.roles = Array.from(triggerElement.querySelectorAll('.trigger-chat-role:checked')).map(input => input.value);
+            } else if (type === 'cheer') {
+                config.minBits = parseInt(triggerElement.querySelector('.trigger-cheer-min').value) || 0;
+                config.maxBits = parseInt(triggerElement.querySelector('.trigger-cheer-max').value) || 0;
+                config.exactBits = parseInt(triggerElement.querySelector('.trigger-cheer-exact').value) || 0;
+                config.bestMatchOnly = triggerElement.querySelector('.trigger-cheer-best').checked;
+            } else if (type === 'subscriber') {
+                config.ignoreCommunityGifts = triggerElement.querySelector('.trigger-sub-ignore-gifts').checked;
+                config.tiers = Array.from(triggerElement.querySelectorAll('.trigger-sub-tier:checked')).map(input => input.value);
+                config.kinds = Array.from(triggerElement.querySelectorAll('.trigger-sub-kind:checked')).map(input => input.value);
+                config.minMonths = parseInt(triggerElement.querySelector('.trigger-sub-min-months').value) || 0;
+                config.maxMonths = parseInt(triggerElement.querySelector('.trigger-sub-max-months').value) || 0;
+                config.minStreak = parseInt(triggerElement.querySelector('.trigger-sub-min-streak').value) || 0;
+                config.maxStreak = parseInt(triggerElement.querySelector('.trigger-sub-max-streak').value) || 0;
+            } else if (type === 'gift_bomb') {
+                config.minGifts = parseInt(triggerElement.querySelector('.trigger-gift-min').value) || 2;
+            } else if (type === 'raid') {
+                config.minViewers = parseInt(triggerElement.querySelector('.trigger-raid-min').value) || 0;
+                config.maxViewers = parseInt(triggerElement.querySelector('.trigger-raid-max').value) || 0;
+            } else if (type === 'webhook') {
+                config.path = triggerElement.querySelector('.trigger-webhook-path').value.trim().replace(/^\/+|\/+$/g, '');
+                config.secret = triggerElement.querySelector('.trigger-webhook-secret').value.trim();
             } else if (type === 'midi') {
                 // MIDI config is stored in currentAction.triggers, preserve it
                 if (this.currentAction.triggers[index] && this.currentAction.triggers[index].config) {
@@ -486,7 +784,7 @@ class DebbotApp {
         this.currentAction.triggers = collectedTriggers;
     }
 
-    addActionStep() {
+    addActionStep(listPath = '') {
         // First, collect current step values from the form before adding new step
         this.collectCurrentStepValues();
 
@@ -495,14 +793,29 @@ class DebbotApp {
             value: ''
         };
 
-        this.currentAction.steps.push(step);
+        this.getStepList(listPath).push(step);
         this.renderActionSteps();
     }
 
-    removeActionStep(index) {
+    removeActionStep(stepPath) {
         // First collect current values, then remove the step
         this.collectCurrentStepValues();
-        this.currentAction.steps.splice(index, 1);
+        const { list, index } = this.getStepByPath(stepPath);
+        list.splice(index, 1);
+        this.renderActionSteps();
+    }
+
+    addCondition(stepPath) {
+        this.collectCurrentStepValues();
+        const { list, index } = this.getStepByPath(stepPath);
+        list[index].conditions.push({ left: '', operator: 'equals', right: '' });
+        this.renderActionSteps();
+    }
+
+    removeCondition(stepPath, conditionIndex) {
+        this.collectCurrentStepValues();
+        const { list, index } = this.getStepByPath(stepPath);
+        list[index].conditions.splice(conditionIndex, 1);
         this.renderActionSteps();
     }
 
@@ -519,6 +832,19 @@ class DebbotApp {
         this.renderTriggers();
     }
 
+    addCommandArg(triggerIndex) {
+        this.collectTriggerValues();
+        const config = this.currentAction.triggers[triggerIndex].config;
+        config.args = [...(config.args || []), { name: '', type: 'text', required: false }];
+        this.renderTriggers();
+    }
+
+    removeCommandArg(triggerIndex, argIndex) {
+        this.collectTriggerValues();
+        this.currentAction.triggers[triggerIndex].config.args.splice(argIndex, 1);
+        this.renderTriggers();
+    }
+
     removeTrigger(index) {
         // First collect current trigger values from the form
         this.collectTriggerValues();
@@ -536,12 +862,116 @@ class DebbotApp {
 
             let configHtml = '';
             if (trigger.type === 'command') {
-                configHtml = `<input type="text" class="trigger-command" placeholder="!command" value="${trigger.config.command || ''}">`;
+                const argTypes = [['text', 'Text'], ['user', 'User'], ['number', 'Number']];
+                const argsHtml = (trigger.config.args || []).map((arg, argIndex) => `
+                    <div class="command-arg">
+                        <input type="text" class="command-arg-name" placeholder="name" value="${this.escapeHtml(arg.name || '')}">
+                        <select class="command-arg-type">
+                            ${argTypes.map(([value, label]) => `<option value="${value}" ${(arg.type || 'text') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                        <label class="checkbox-label"><input type="checkbox" class="command-arg-required" ${arg.required ? 'checked' : ''}> Required</label>
+                        <button type="button" class="step-remove" onclick="app.removeCommandArg(${index}, ${argIndex})">×</button>
+                    </div>
+                `).join('');
+                configHtml = `
+                    <input type="text" class="trigger-command" placeholder="!command" value="${this.escapeHtml(trigger.config.command || '')}">
+                    <div class="webhook-config">
+                        <label>Aliases <input type="text" class="trigger-command-aliases" placeholder="!alias1, !alias2" value="${this.escapeHtml((trigger.config.aliases || []).join(', '))}"></label>
+                    </div>
+                    <div class="command-args">
+                        ${argsHtml}
+                        <button type="button" class="btn btn-small" onclick="app.addCommandArg(${index})">Add Argument</button>
+                    </div>
+                `;
             } else if (trigger.type === 'channel_points') {
                 configHtml = `<select class="trigger-reward">
                     <option value="">Any Reward</option>
                     <!-- Rewards will be populated dynamically -->
                 </select>`;
+            } else if (trigger.type === 'timer') {
+                configHtml = `
+                    <div class="timer-config">
+                        <label>Every <input type="number" class="trigger-timer-interval" min="1" step="1" placeholder="15" value="${this.escapeHtml(trigger.config.interval || '')}"> min</label>
+                        <label>Min. chat lines <input type="number" class="trigger-timer-chat-lines" min="0" step="1" placeholder="0" value="${this.escapeHtml(trigger.config.minChatLines || '')}"></label>
+                        <label class="checkbox-label"><input type="checkbox" class="trigger-timer-live" ${trigger.config.onlyWhenLive ? 'checked' : ''}> Only while live</label>
+                    </div>
+                `;
+            } else if (trigger.type === 'chat_message') {
+                const matchType = trigger.config.matchType || 'contains';
+                const matchTypes = [['contains', 'Contains'], ['word', 'Whole word'], ['regex', 'Regex']];
+                // Nothing ticked means everyone in chat
+                const roles = trigger.config.roles || [];
+                const roleOptions = [['viewer', 'Viewers'], ['subscriber', 'Subscribers'], ['vip', 'VIPs'], ['moderator', 'Mods'], ['broadcaster', 'Broadcaster']]
+                    .map(([value, label]) => `<label class="checkbox-label"><input type="checkbox" class="trigger-chat-role" value="${value}" ${roles.includes(value) ? 'checked' : ''}> ${label}</label>`)
+                    .join('');
+                configHtml = `
+                    <div class="webhook-config">
+                        <select class="trigger-chat-match">
+                            ${matchTypes.map(([value, label]) => `<option value="${value}" ${matchType === value ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                        <input type="text" class="trigger-chat-pattern" placeholder="gg or ^!?hello (\\w+)" value="${this.escapeHtml(trigger.config.pattern || '')}">
+                        <label class="checkbox-label"><input type="checkbox" class="trigger-chat-case" ${trigger.config.caseSensitive ? 'checked' : ''}> Case sensitive</label>
+                    </div>
+                    <div class="timer-config">
+                        ${roleOptions}
+                    </div>
+                `;
+            } else if (trigger.type === 'cheer') {
+                configHtml = `
+                    <div class="timer-config">
+                        <label>Min. bits <input type="number" class="trigger-cheer-min" min="0" step="1" placeholder="0" value="${this.escapeHtml(trigger.config.minBits || '')}"></label>
+                        <label>Max. bits <input type="number" class="trigger-cheer-max" min="0" step="1" placeholder="Any" value="${this.escapeHtml(trigger.config.maxBits || '')}"></label>
+                        <label>Exactly <input type="number" class="trigger-cheer-exact" min="0" step="1" placeholder="Off" value="${this.escapeHtml(trigger.config.exactBits || '')}"></label>
+                        <label class="checkbox-label"><input type="checkbox" class="trigger-cheer-best" ${trigger.config.bestMatchOnly ? 'checked' : ''}> Best match only</label>
+                    </div>
+                `;
+            } else if (trigger.type === 'subscriber') {
+                // Nothing ticked in a group means any tier / any kind of sub
+                const tiers = trigger.config.tiers || [];
+                const kinds = trigger.config.kinds || [];
+                const tierOptions = [['1000', 'Tier 1'], ['2000', 'Tier 2'], ['3000', 'Tier 3'], ['prime', 'Prime']]
+                    .map(([value, label]) => `<label class="checkbox-label"><input type="checkbox" class="trigger-sub-tier" value="${value}" ${tiers.includes(value) ? 'checked' : ''}> ${label}</label>`)
+                    .join('');
+                const kindOptions = [['new', 'New'], ['resub', 'Resub'], ['gift', 'Gifted']]
+                    .map(([value, label]) => `<label class="checkbox-label"><input type="checkbox" class="trigger-sub-kind" value="${value}" ${kinds.includes(value) ? 'checked' : ''}> ${label}</label>`)
+                    .join('');
+                configHtml = `
+                    <div class="timer-config">
+                        ${tierOptions}
+                    </div>
+                    <div class="timer-config">
+                        ${kindOptions}
+                    </div>
+                    <div class="timer-config">
+                        <label>Months <input type="number" class="trigger-sub-min-months" min="0" step="1" placeholder="0" value="${this.escapeHtml(trigger.config.minMonths || '')}"></label>
+                        <label>to <input type="number" class="trigger-sub-max-months" min="0" step="1" placeholder="Any" value="${this.escapeHtml(trigger.config.maxMonths || '')}"></label>
+                        <label>Streak <input type="number" class="trigger-sub-min-streak" min="0" step="1" placeholder="0" value="${this.escapeHtml(trigger.config.minStreak || '')}"></label>
+                        <label>to <input type="number" class="trigger-sub-max-streak" min="0" step="1" placeholder="Any" value="${this.escapeHtml(trigger.config.maxStreak || '')}"></label>
+                    </div>
+                    <div class="timer-config">
+                        <label class="checkbox-label"><input type="checkbox" class="trigger-sub-ignore-gifts" ${trigger.config.ignoreCommunityGifts ? 'checked' : ''}> Skip recipients of community gifts</label>
+                    </div>
+                `;
+            } else if (trigger.type === 'gift_bomb') {
+                configHtml = `
+                    <div class="timer-config">
+                        <label>Min. gifts <input type="number" class="trigger-gift-min" min="2" step="1" placeholder="2" value="${this.escapeHtml(trigger.config.minGifts || '')}"></label>
+                    </div>
+                `;
+            } else if (trigger.type === 'raid') {
+                configHtml = `
+                    <div class="timer-config">
+                        <label>Min. viewers <input type="number" class="trigger-raid-min" min="0" step="1" placeholder="0" value="${this.escapeHtml(trigger.config.minViewers || '')}"></label>
+                        <label>Max. viewers <input type="number" class="trigger-raid-max" min="0" step="1" placeholder="Any" value="${this.escapeHtml(trigger.config.maxViewers || '')}"></label>
+                    </div>
+                `;
+            } else if (trigger.type === 'webhook') {
+                configHtml = `
+                    <div class="webhook-config">
+                        <label>/hooks/ <input type="text" class="trigger-webhook-path" placeholder="my-hook" value="${this.escapeHtml(trigger.config.path || '')}"></label>
+                        <label>Secret <input type="text" class="trigger-webhook-secret" value="${this.escapeHtml(trigger.config.secret || '')}"></label>
+                    </div>
+                `;
             } else if (trigger.type === 'midi') {
                 const noteDisplay = trigger.config.note !== undefined ? `Note ${trigger.config.note}` : 'Not configured';
                 const typeDisplay = this.getMIDIMessageTypeDisplay(trigger.config.messageType || 'noteon');
@@ -556,10 +986,17 @@ class DebbotApp {
             triggerElement.innerHTML = `
                 <select class="trigger-type">
                     <option value="command" ${trigger.type === 'command' ? 'selected' : ''}>Chat Command</option>
+                    <option value="chat_message" ${trigger.type === 'chat_message' ? 'selected' : ''}>Chat Message</option>
                     <option value="channel_points" ${trigger.type === 'channel_points' ? 'selected' : ''}>Channel Point Redeem</option>
                     <option value="cheer" ${trigger.type === 'cheer' ? 'selected' : ''}>Cheer (Bits)</option>
                     <option value="subscriber" ${trigger.type === 'subscriber' ? 'selected' : ''}>Subscriber</option>
+                    <option value="gift_bomb" ${trigger.type === 'gift_bomb' ? 'selected' : ''}>Gift Sub Bomb</option>
+                    <option value="follow" ${trigger.type === 'follow' ? 'selected' : ''}>Follow</option>
+                    <option value="raid" ${trigger.type === 'raid' ? 'selected' : ''}>Raid</option>
+                    <option value="stream_online" ${trigger.type === 'stream_online' ? 'selected' : ''}>Stream Online</option>
+                    <option value="stream_offline" ${trigger.type === 'stream_offline' ? 'selected' : ''}>Stream Offline</option>
                     <option value="timer" ${trigger.type === 'timer' ? 'selected' : ''}>Timer</option>
+                    <option value="webhook" ${trigger.type === 'webhook' ? 'selected' : ''}>Webhook</option>
                     <option value="midi" ${trigger.type === 'midi' ? 'selected' : ''}>MIDI Note</option>
                 </select>
                 ${configHtml}
@@ -580,6 +1017,58 @@ class DebbotApp {
 
             container.appendChild(triggerElement);
         });
+
+        this.renderTemplateVariables();
+    }
+
+    renderTemplateVariables() {
+        const container = document.getElementById('template-variables');
+        container.innerHTML = '';
+
+        // Show variables for every trigger type used by this action, without duplicates
+        const seen = new Set();
+        const variables = [];
+        const triggerTypes = this.currentAction.triggers.map(t => t.type);
+        [...triggerTypes, 'common'].forEach(triggerType => {
+            (this.templateVariables[triggerType] || []).forEach(variable => {
+                if (!seen.has(variable.name)) {
+                    seen.add(variable.name);
+                    variables.push(variable);
+                }
+            });
+        });
+
+        if (variables.length === 0) {
+            return;
+        }
+
+        const title = document.createElement('div');
+        title.className = 'template-variables-title';
+        title.textContent = 'Available variables (click to insert, use {name|fallback} for a default):';
+        container.appendChild(title);
+
+        variables.forEach(variable => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'template-variable';
+            chip.textContent = `{${variable.name}}`;
+            chip.title = variable.description;
+            chip.addEventListener('click', () => this.insertTemplateVariable(`{${variable.name}}`));
+            container.appendChild(chip);
+        });
+    }
+
+    insertTemplateVariable(text) {
+        const input = this.lastFocusedStepInput;
+        if (!input || !input.isConnected || input.disabled) {
+            return;
+        }
+
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? input.value.length;
+        input.value = input.value.slice(0, start) + text + input.value.slice(end);
+        input.focus();
+        input.setSelectionRange(start + text.length, start + text.length);
     }
 
     updateTriggerConfig(triggerIndex, newType) {
@@ -590,6 +1079,11 @@ class DebbotApp {
         this.currentAction.triggers[triggerIndex].type = newType;
         this.currentAction.triggers[triggerIndex].config = {};
 
+        // Webhooks always need a secret, so start with a random one
+        if (newType === 'webhook') {
+            this.currentAction.triggers[triggerIndex].config.secret = this.generateSecret();
+        }
+
         // Re-render triggers to update the UI
         this.renderTriggers();
     }
@@ -633,30 +1127,241 @@ class DebbotApp {
         const container = document.getElementById('action-steps');
         container.innerHTML = '';
 
-        this.currentAction.steps.forEach((step, index) => {
-            const stepElement = document.createElement('div');
-            stepElement.className = 'action-step';
-
-            stepElement.innerHTML = `
-                <select class="step-type">
-                    <option value="obs_scene" ${step.type === 'obs_scene' ? 'selected' : ''}>Switch OBS Scene</option>
-                    <option value="obs_source" ${step.type === 'obs_source' ? 'selected' : ''}>Toggle OBS Source</option>
-                    <option value="obs_source_show" ${step.type === 'obs_source_show' ? 'selected' : ''}>Show OBS Source</option>
-                    <option value="obs_source_hide" ${step.type === 'obs_source_hide' ? 'selected' : ''}>Hide OBS Source</option>
-                    <option value="obs_start_streaming" ${step.type === 'obs_start_streaming' ? 'selected' : ''}>Start OBS Streaming</option>
-                    <option value="obs_stop_streaming" ${step.type === 'obs_stop_streaming' ? 'selected' : ''}>Stop OBS Streaming</option>
-                    <option value="twitch_message" ${step.type === 'twitch_message' ? 'selected' : ''}>Send Twitch Message</option>
-                    <option value="play_sound" ${step.type === 'play_sound' ? 'selected' : ''}>Play Sound</option>
-                    <option value="delay" ${step.type === 'delay' ? 'selected' : ''}>Delay</option>
-                </select>
-                <input type="text" class="step-value" placeholder="${step.type === 'play_sound' ? 'Path to audio file' : step.type === 'delay' ? 'Delay in milliseconds' : step.type === 'twitch_message' ? 'Message to send' : 'Scene/Source name'}" value="${step.value}" ${step.type === 'obs_start_streaming' || step.type === 'obs_stop_streaming' ? 'disabled' : ''}>
-                <button class="step-remove" onclick="app.removeActionStep(${index})">×</button>
-            `;
+        this.renderStepList(container, this.currentAction.steps, '');
+    }
+
+    renderStepList(container, steps, listPath) {
+        steps.forEach((step, index) => {
+            const stepPath = listPath === '' ? `${index}` : `${listPath}/${index}`;
+            let stepElement;
+            if (step.type === 'if') {
+                stepElement = this.renderConditionalStep(step, stepPath);
+            } else if (step.type === 'http_request') {
+                stepElement = this.renderHttpRequestStep(step, stepPath);
+            } else if (step.type === 'reward_create' || step.type === 'reward_update') {
+                stepElement = this.renderRewardStep(step, stepPath);
+            } else if (step.type.startsWith('variable_')) {
+                stepElement = this.renderVariableStep(step, stepPath);
+            } else {
+                stepElement = this.renderStep(step, stepPath);
+            }
+
+            // Re-render when the type changes so if blocks get their nested editor
+            stepElement.querySelector(':scope > .step-type').addEventListener('change', () => {
+                this.collectCurrentStepValues();
+                this.renderActionSteps();
+            });
 
             container.appendChild(stepElement);
         });
     }
 
+    getStepTypeOptions(selectedType) {
+        const stepTypes = [
+            ['obs_scene', 'Switch OBS Scene'],
+            ['obs_source', 'Toggle OBS Source'],
+            ['obs_source_show', 'Show OBS Source'],
+            ['obs_source_hide', 'Hide OBS Source'],
+            ['obs_start_streaming', 'Start OBS Streaming'],
+            ['obs_stop_streaming', 'Stop OBS Streaming'],
+            ['twitch_message', 'Send Twitch Message'],
+            ['play_sound', 'Play Sound'],
+            ['delay', 'Delay'],
+            ['http_request', 'HTTP Request'],
+            ['redemption_fulfill', 'Fulfill Redemption'],
+            ['redemption_cancel', 'Cancel Redemption (Refund)'],
+            ['reward_create', 'Create Reward'],
+            ['reward_update', 'Update Reward'],
+            ['reward_pause', 'Pause Reward'],
+            ['reward_resume', 'Resume Reward'],
+            ['reward_enable', 'Enable Reward'],
+            ['reward_disable', 'Disable Reward'],
+            ['variable_set', 'Set Variable'],
+            ['variable_increment', 'Increment Variable'],
+            ['variable_decrement', 'Decrement Variable'],
+            ['variable_reset', 'Reset Variable'],
+            ['if', 'If / Else']
+        ];
+
+        return stepTypes.map(([value, label]) =>
+            `<option value="${value}" ${selectedType === value ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+
+    renderStep(step, stepPath) {
+        const stepElement = document.createElement('div');
+        stepElement.className = 'action-step';
+
+        stepElement.innerHTML = `
+            <select class="step-type">
+                ${this.getStepTypeOptions(step.type)}
+            </select>
+            <input type="text" class="step-value" placeholder="${this.getStepPlaceholder(step.type)}" value="${this.escapeHtml(step.value || '')}" ${['obs_start_streaming', 'obs_stop_streaming', 'redemption_fulfill', 'redemption_cancel'].includes(step.type) ? 'disabled' : ''}>
+            <button class="step-remove" onclick="app.removeActionStep('${stepPath}')">×</button>
+        `;
+
+        return stepElement;
+    }
+
+    getStepPlaceholder(type) {
+        if (type === 'play_sound') {
+            return 'Path to audio file';
+        } else if (type === 'delay') {
+            return 'Delay in milliseconds';
+        } else if (type === 'twitch_message') {
+            return 'Message to send, e.g. Thanks {user}!';
+        } else if (type === 'redemption_fulfill' || type === 'redemption_cancel') {
+            return 'Applies to the redemption that triggered this action';
+        } else if (type.startsWith('reward_')) {
+            return 'Reward title or ID';
+        }
+        return 'Scene/Source name';
+    }
+
+    renderRewardStep(step, stepPath) {
+        const stepElement = document.createElement('div');
+        stepElement.className = 'action-step action-step-reward';
+
+        const isUpdate = step.type === 'reward_update';
+
+        stepElement.innerHTML = `
+            <select class="step-type">
+                ${this.getStepTypeOptions(step.type)}
+            </select>
+            <input type="text" class="step-value" placeholder="${isUpdate ? 'Reward title or ID' : 'New reward title'}" value="${this.escapeHtml(step.value || '')}">
+            <button class="step-remove" onclick="app.removeActionStep('${stepPath}')">×</button>
+            <div class="reward-step-details">
+                ${isUpdate ? `<input type="text" class="reward-step-title" placeholder="New title (optional)" value="${this.escapeHtml(step.title || '')}">` : ''}
+                <input type="text" class="reward-step-cost" placeholder="Cost${isUpdate ? ' (optional)' : ''}" value="${this.escapeHtml(step.cost || '')}">
+                <input type="text" class="reward-step-prompt" placeholder="Prompt${isUpdate ? ' (optional)' : ''}" value="${this.escapeHtml(step.prompt || '')}">
+            </div>
+        `;
+
+        return stepElement;
+    }
+
+    renderVariableStep(step, stepPath) {
+        const stepElement = document.createElement('div');
+        stepElement.className = 'action-step action-step-variable';
+
+        const scope = step.scope || 'global';
+        const scopes = [['global', 'Global'], ['user', 'Per user'], ['action', 'Per action']];
+        let inputHtml = '';
+        if (step.type === 'variable_set') {
+            inputHtml = `<input type="text" class="variable-step-input" placeholder="New value, e.g. {args.0}" value="${this.escapeHtml(step.newValue || '')}">`;
+        } else if (step.type !== 'variable_reset') {
+            inputHtml = `<input type="text" class="variable-step-input" placeholder="Amount (default 1)" value="${this.escapeHtml(step.amount || '')}">`;
+        }
+
+        stepElement.innerHTML = `
+            <select class="step-type">
+                ${this.getStepTypeOptions(step.type)}
+            </select>
+            <input type="text" class="step-value" placeholder="Variable name, e.g. deaths" value="${this.escapeHtml(step.value || '')}">
+            <button class="step-remove" onclick="app.removeActionStep('${stepPath}')">×</button>
+            <div class="variable-step-details">
+                <select class="variable-step-scope">
+                    ${scopes.map(([value, label]) => `<option value="${value}" ${scope === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="text" class="variable-step-user" placeholder="User (blank = who triggered it), e.g. {args.0}" value="${this.escapeHtml(step.user || '')}" ${scope === 'user' ? '' : 'style="display: none;"'}>
+                ${inputHtml}
+            </div>
+        `;
+
+        // Only per-user variables need a user
+        stepElement.querySelector('.variable-step-scope').addEventListener('change', event => {
+            stepElement.querySelector('.variable-step-user').style.display = event.target.value === 'user' ? '' : 'none';
+        });
+
+        return stepElement;
+    }
+
+    renderHttpRequestStep(step, stepPath) {
+        const stepElement = document.createElement('div');
+        stepElement.className = 'action-step action-step-http';
+
+        const methods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+        stepElement.innerHTML = `
+            <select class="step-type">
+                ${this.getStepTypeOptions(step.type)}
+            </select>
+            <select class="http-method">
+                ${methods.map(method => `<option value="${method}" ${(step.method || 'GET') === method ? 'selected' : ''}>${method}</option>`).join('')}
+            </select>
+            <input type="text" class="step-value" placeholder="http://192.168.1.20/api/scene?user={user}" value="${this.escapeHtml(step.value || '')}">
+            <button class="step-remove" onclick="app.removeActionStep('${stepPath}')">×</button>
+            <div class="http-details">
+                <textarea class="http-headers" rows="2" placeholder="Headers, one per line (Authorization: Bearer abc)">${this.escapeHtml(step.headers || '')}</textarea>
+                <textarea class="http-body" rows="3" placeholder='Body, e.g. {"user": "{user}", "bits": {bits}}'>${this.escapeHtml(step.body || '')}</textarea>
+                <label>Timeout <input type="number" class="http-timeout" min="1" step="1" value="${step.timeout || 10}"> s</label>
+            </div>
+        `;
+
+        return stepElement;
+    }
+
+    renderConditionalStep(step, stepPath) {
+        const stepElement = document.createElement('div');
+        stepElement.className = 'action-step action-step-if';
+
+        const operators = [
+            ['equals', 'equals'],
+            ['not_equals', 'does not equal'],
+            ['contains', 'contains'],
+            ['gt', '>'],
+            ['gte', '>='],
+            ['lt', '<'],
+            ['lte', '<='],
+            ['matches', 'matches regex'],
+            ['is_true', 'is true'],
+            ['is_false', 'is false'],
+            ['is_empty', 'is empty'],
+            ['is_not_empty', 'is not empty']
+        ];
+
+        const conditionsHtml = (step.conditions || []).map((condition, conditionIndex) => `
+            <div class="step-condition">
+                <input type="text" class="condition-left" list="condition-variables" placeholder="{bits}" value="${this.escapeHtml(condition.left || '')}">
+                <select class="condition-operator">
+                    ${operators.map(([value, label]) => `<option value="${value}" ${condition.operator === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="text" class="condition-right" placeholder="500" value="${this.escapeHtml(condition.right || '')}">
+                <button class="step-remove" onclick="app.removeCondition('${stepPath}', ${conditionIndex})">×</button>
+            </div>
+        `).join('');
+
+        stepElement.innerHTML = `
+            <select class="step-type">
+                ${this.getStepTypeOptions(step.type)}
+            </select>
+            <select class="condition-match">
+                <option value="all" ${step.match !== 'any' ? 'selected' : ''}>All conditions match</option>
+                <option value="any" ${step.match === 'any' ? 'selected' : ''}>Any condition matches</option>
+            </select>
+            <button class="step-remove" onclick="app.removeActionStep('${stepPath}')">×</button>
+            <div class="step-conditions">
+                ${conditionsHtml}
+                <button class="btn btn-secondary btn-small" onclick="app.addCondition('${stepPath}')">Add Condition</button>
+            </div>
+            <div class="step-branch step-branch-then">
+                <div class="step-branch-label">Then</div>
+                <div class="step-list"></div>
+                <button class="btn btn-secondary btn-small" onclick="app.addActionStep('${stepPath}/then')">Add Step</button>
+            </div>
+            <div class="step-branch step-branch-else">
+                <div class="step-branch-label">Else</div>
+                <div class="step-list"></div>
+                <button class="btn btn-secondary btn-small" onclick="app.addActionStep('${stepPath}/else')">Add Step</button>
+            </div>
+        `;
+
+        this.renderStepList(stepElement.querySelector('.step-branch-then > .step-list'), step.then || [], `${stepPath}/then`);
+        this.renderStepList(stepElement.querySelector('.step-branch-else > .step-list'), step.else || [], `${stepPath}/else`);
+
+        return stepElement;
+    }
+
     async saveAction() {
         const name = document.getElementById('action-name').value.trim();
         if (!name) {
@@ -667,6 +1372,16 @@ class DebbotApp {
         // Collect trigger values (including MIDI config)
         this.collectTriggerValues();
 
+        if (this.currentAction.triggers.some(t => t.type === 'timer' && !(t.config.interval > 0))) {
+            alert('Timer triggers need an interval greater than 0 minutes');
+            return;
+        }
+
+        if (this.currentAction.triggers.some(t => t.type === 'webhook' && (!t.config.path || !t.config.secret))) {
+            alert('Webhook triggers need a path and a secret');
+            return;
+        }
+
         // Update action data
         this.currentAction.name = name;
 
@@ -674,21 +1389,46 @@ class DebbotApp {
         this.currentAction.permissions = {
             viewer: document.getElementById('perm-viewer').checked,
             moderator: document.getElementById('perm-moderator').checked,
-            broadcaster: document.getElementById('perm-broadcaster').checked
+            broadcaster: document.getElementById('perm-broadcaster').checked,
+            subscriber: document.getElementById('perm-subscriber').checked,
+            founder: document.getElementById('perm-founder').checked,
+            vip: document.getElementById('perm-vip').checked,
+            minSubMonths: parseInt(document.getElementById('perm-min-sub-months').value) || 0,
+            allowUsers: this.parseUserList(document.getElementById('perm-allow-users').value),
+            denyUsers: this.parseUserList(document.getElementById('perm-deny-users').value)
+        };
+
+        // Update queue
+        const queueName = document.getElementById('action-queue').value;
+        if (queueName) {
+            this.currentAction.queue = queueName;
+        } else {
+            delete this.currentAction.queue;
+        }
+
+        // Update cooldowns
+        this.currentAction.cooldown = {
+            global: parseFloat(document.getElementById('cooldown-global').value) || 0,
+            user: parseFloat(document.getElementById('cooldown-user').value) || 0,
+            bypassMods: document.getElementById('cooldown-bypass-mods').checked,
+            bypassBroadcaster: document.getElementById('cooldown-bypass-broadcaster').checked,
+            reply: document.getElementById('cooldown-reply').value.trim()
+        };
+
+        // Update refund on failure
+        this.currentAction.refund = {
+            enabled: document.getElementById('refund-enabled').checked,
+            message: document.getElementById('refund-message').value.trim()
         };
 
         // Validate permissions
         if (!this.validatePermissions()) {
-            alert('At least one permission must be selected');
+            alert('At least one permission or allowed user must be selected');
             return;
         }
 
         // Update steps
-        const stepElements = document.querySelectorAll('.action-step');
-        this.currentAction.steps = Array.from(stepElements).map(step => ({
-            type: step.querySelector('.step-type').value,
-            value: step.querySelector('.step-value').value.trim()
-        }));
+        this.collectCurrentStepValues();
 
         try {
             if (this.actions.find(a => a.id === this.currentAction.id)) {
@@ -715,11 +1455,17 @@ class DebbotApp {
     }
 
     validatePermissions() {
-        const viewer = document.getElementById('perm-viewer').checked;
-        const moderator = document.getElementById('perm-moderator').checked;
-        const broadcaster = document.getElementById('perm-broadcaster').checked;
+        const roles = ['perm-viewer', 'perm-subscriber', 'perm-founder', 'perm-vip', 'perm-moderator', 'perm-broadcaster'];
+        const anyRole = roles.some(id => document.getElementById(id).checked);
+
+        // An allow list on its own is enough, e.g. an action only one user may run
+        return anyRole || this.parseUserList(document.getElementById('perm-allow-users').value).length > 0;
+    }
 
-        return viewer || moderator || broadcaster;
+    parseUserList(text) {
+        return text.split(/[\s,]+/)
+            .map(name => name.replace(/^@/, '').toLowerCase())
+            .filter(name => name);
     }
 
     async deleteAction(actionId) {
@@ -776,15 +1522,69 @@ class DebbotApp {
                 action.triggers.forEach(trigger => {
                     let triggerText = '';
                     if (trigger.type === 'command') {
-                        triggerText = `Command: ${trigger.config.command || 'N/A'}`;
+                        triggerText = `Command: ${[trigger.config.command || 'N/A', ...(trigger.config.aliases || [])].join(', ')}`;
+                    } else if (trigger.type === 'chat_message') {
+                        const matchLabels = { contains: 'contains', word: 'word', regex: 'regex' };
+                        triggerText = `Chat ${matchLabels[trigger.config.matchType] || 'contains'}: ${trigger.config.pattern || 'N/A'}`;
+                        if (trigger.config.roles && trigger.config.roles.length > 0) {
+                            triggerText += ` (${trigger.config.roles.join(', ')})`;
+                        }
                     } else if (trigger.type === 'channel_points') {
                         triggerText = `Channel Points: ${trigger.config.reward || 'Any reward'}`;
                     } else if (trigger.type === 'timer') {
-                        triggerText = 'Timer trigger';
+                        triggerText = `Timer: every ${trigger.config.interval || '?'} min`;
+                        if (trigger.config.minChatLines) {
+                            triggerText += `, ${trigger.config.minChatLines}+ chat lines`;
+                        }
+                        if (trigger.config.onlyWhenLive) {
+                            triggerText += ', live only';
+                        }
+                    } else if (trigger.type === 'webhook') {
+                        triggerText = `Webhook: /hooks/${trigger.config.path || '?'}`;
                     } else if (trigger.type === 'cheer') {
                         triggerText = 'Cheer (Bits)';
+                        if (trigger.config.exactBits) {
+                            triggerText += `: exactly ${trigger.config.exactBits} bits`;
+                        } else if (trigger.config.minBits || trigger.config.maxBits) {
+                            triggerText += `: ${trigger.config.minBits || 0}-${trigger.config.maxBits || '∞'} bits`;
+                        }
+                        if (trigger.config.bestMatchOnly) {
+                            triggerText += ', best match';
+                        }
                     } else if (trigger.type === 'subscriber') {
                         triggerText = 'Subscriber';
+                        const filters = [];
+                        if (trigger.config.tiers && trigger.config.tiers.length > 0) {
+                            filters.push(trigger.config.tiers.map(tier => tier === 'prime' ? 'Prime' : `T${tier[0]}`).join('/'));
+                        }
+                        if (trigger.config.kinds && trigger.config.kinds.length > 0) {
+                            filters.push(trigger.config.kinds.join('/'));
+                        }
+                        if (trigger.config.minMonths || trigger.config.maxMonths) {
+                            filters.push(`${trigger.config.minMonths || 0}-${trigger.config.maxMonths || '∞'} months`);
+                        }
+                        if (trigger.config.minStreak || trigger.config.maxStreak) {
+                            filters.push(`${trigger.config.minStreak || 0}-${trigger.config.maxStreak || '∞'} streak`);
+                        }
+                        if (filters.length > 0) {
+                            triggerText += `: ${filters.join(', ')}`;
+                        }
+                        if (trigger.config.ignoreCommunityGifts) {
+                            triggerText += ' (no community gifts)';
+                        }
+                    } else if (trigger.type === 'gift_bomb') {
+                        triggerText = `Gift Sub Bomb: ${Math.max(parseInt(trigger.config.minGifts) || 2, 2)}+ gifts`;
+                    } else if (trigger.type === 'follow') {
+                        triggerText = 'Follow';
+                    } else if (trigger.type === 'raid') {
+                        triggerText = 'Raid';
+                        if (trigger.config.minViewers || trigger.config.maxViewers) {
+                            triggerText += `: ${trigger.config.minViewers || 0}-${trigger.config.maxViewers || '∞'} viewers`;
+                        }
+                    } else if (trigger.type === 'stream_online') {
+                        triggerText = 'Stream Online';
+                    } else if (trigger.type === 'stream_offline') {
+                        triggerText = 'Stream Offline';
                     } else {
                         triggerText = 'Unknown trigger';
                     }
@@ -794,10 +1594,20 @@ class DebbotApp {
                 triggerTexts.push('No triggers');
             }
 
+            let cooldownText = '';
+            if (action.cooldown && (action.cooldown.global > 0 || action.cooldown.user > 0)) {
+                const parts = [];
+                if (action.cooldown.global > 0) parts.push(`${action.cooldown.global}s global`);
+                if (action.cooldown.user > 0) parts.push(`${action.cooldown.user}s per user`);
+                cooldownText = ` • Cooldown: ${parts.join(', ')}`;
+            }
+
+            const queueText = action.queue ? ` • Queue: ${action.queue}` : '';
+
             actionElement.innerHTML = `
                 <div class="action-info">
-                    <h3>${action.name}</h3>
-                    <div class="action-details">${triggerTexts.join(', ')} • ${action.steps.length} step${action.steps.length !== 1 ? 's' : ''}</div>
+                    <h3><span class="action-name"></span> <span class="action-cooldown" data-action-id="${action.id}"></span></h3>
+                    <div class="action-details"></div>
                 </div>
                 <div class="action-controls">
                     <button class="btn btn-success" onclick="app.testAction('${action.id}')">Test</button>
@@ -806,79 +1616,1063 @@ class DebbotApp {
                 </div>
             `;
 
+            // Names, commands and patterns can be created from chat (!addcom), so set them as text
+            actionElement.querySelector('.action-name').textContent = action.name;
+            actionElement.querySelector('.action-details').textContent =
+                `${triggerTexts.join(', ')} • ${action.steps.length} step${action.steps.length !== 1 ? 's' : ''}${queueText}${cooldownText}`;
+
             container.appendChild(actionElement);
         });
+
+        this.updateCooldownDisplay();
     }
 
-    onActionTriggered(action) {
-        this.addLogEntry({ level: 'success', message: `Action triggered: ${action.name}` });
+    onActionCooldown(data) {
+        this.cooldowns[data.actionId] = {
+            globalUntil: data.globalUntil,
+            userUntil: data.userUntil
+        };
+        this.updateCooldownDisplay();
     }
 
-    // Logging
-    addLogEntry(log) {
-        const container = document.getElementById('logs-container');
-        const logElement = document.createElement('div');
-        logElement.className = `log-entry log-${log.level}`;
+    updateCooldownDisplay() {
+        const now = Date.now();
+        let active = false;
 
-        const timestamp = new Date().toLocaleTimeString();
-        logElement.textContent = `[${timestamp}] ${log.message}`;
+        document.querySelectorAll('.action-cooldown').forEach(element => {
+            const status = this.cooldowns[element.dataset.actionId];
+            const parts = [];
 
-        container.appendChild(logElement);
-        container.scrollTop = container.scrollHeight;
+            if (status && status.globalUntil > now) {
+                parts.push(`cooldown ${Math.ceil((status.globalUntil - now) / 1000)}s`);
+                active = true;
+            }
+            const userCount = status ? (status.userUntil || []).filter(until => until > now).length : 0;
+            if (userCount > 0) {
+                parts.push(`${userCount} user${userCount !== 1 ? 's' : ''} on cooldown`);
+                active = true;
+            }
+
+            element.textContent = parts.join(' • ');
+        });
+
+        // Keep counting down while any cooldown is running
+        if (active && !this.cooldownTicker) {
+            this.cooldownTicker = setInterval(() => this.updateCooldownDisplay(), 1000);
+        } else if (!active && this.cooldownTicker) {
+            clearInterval(this.cooldownTicker);
+            this.cooldownTicker = null;
+        }
     }
 
-    async saveSettings() {
-        // Collect settings from form
-        const settings = {
-            obs: {
-                host: document.getElementById('obs-host').value,
-                port: parseInt(document.getElementById('obs-port').value),
-                password: document.getElementById('obs-password').value,
-                autoReconnect: document.getElementById('obs-auto-reconnect').checked
-            },
-            twitch: {
-                username: document.getElementById('twitch-username').value,
-                oauth: document.getElementById('twitch-oauth').value,
-                channel: document.getElementById('twitch-channel').value
-            },
-            midi: {
-                device: document.getElementById('midi-device').value
-            }
-        };
+    // Queue Methods
+    populateQueueOptions(selectedQueue) {
+        const queueSelect = document.getElementById('action-queue');
+        queueSelect.innerHTML = '<option value="">None (run immediately)</option>';
 
-        try {
-            await window.electronAPI.saveSettings(settings);
-            this.settings = settings;
-            this.addLogEntry({
-                level: 'success',
-                message: 'Settings saved successfully'
-            });
-        } catch (error) {
-            console.error('Save settings error:', error);
-            this.addLogEntry({ level: 'error', message: `Failed to save settings: ${error.message}` });
+        const queueNames = this.queues.map(queue => queue.name);
+        // Keep an assignment to a queue that no longer has a definition visible
+        if (selectedQueue && !queueNames.includes(selectedQueue)) {
+            queueNames.push(selectedQueue);
         }
+
+        queueNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            queueSelect.appendChild(option);
+        });
+
+        queueSelect.value = selectedQueue;
     }
 
-    async autoConnectServices() {
-        console.log('Attempting auto-connection to services...');
+    onActionsUpdated(actions) {
+        // Actions can change outside the window, e.g. !addcom in chat
+        this.actions = actions || [];
+        this.renderActions();
+    }
 
-        // Check OBS settings
-        const obsSettings = this.settings.obs;
-        if (obsSettings && obsSettings.host && obsSettings.port) {
-            this.addLogEntry({ level: 'info', message: 'Auto-connecting to OBS...' });
-            try {
-                await this.connectOBS();
-            } catch (error) {
-                // Auto-connection failures are logged by connectOBS, no need to log again
-                console.log('Auto OBS connection failed (expected if OBS not running)');
-            }
-        } else {
-            this.addLogEntry({ level: 'warn', message: 'OBS settings incomplete - skipping auto-connect' });
+    onQueuesUpdated(queues) {
+        this.queues = queues;
+        this.renderQueues();
+    }
+
+    renderQueues() {
+        const container = document.getElementById('queues-list');
+        container.innerHTML = '';
+
+        if (this.queues.length === 0) {
+            container.innerHTML = '<p style="color: #cccccc; text-align: center; padding: 2rem;">No queues defined yet. Create one above and assign actions to it.</p>';
+            return;
         }
 
-        // Check Twitch settings
-        const twitchSettings = this.settings.twitch;
-        if (twitchSettings && twitchSettings.username && twitchSettings.oauth && twitchSettings.channel) {
+        this.queues.forEach(queue => {
+            const queueElement = document.createElement('div');
+            queueElement.className = 'queue-item';
+
+            const describeItems = (items, emptyText) => items.length === 0 ?
+                `<li class="queue-empty">${emptyText}</li>` :
+                items.map(item => `<li>${this.escapeHtml(item.actionName)}</li>`).join('');
+
+            queueElement.innerHTML = `
+                <div class="queue-header">
+                    <div class="action-info">
+                        <h3></h3>
+                        <div class="action-details">${queue.mode === 'parallel' ? 'Parallel' : 'Blocking'} • Max waiting: ${queue.maxDepth || 'unlimited'}${queue.paused ? ' • <span class="queue-paused">Paused</span>' : ''}</div>
+                    </div>
+                    <div class="action-controls">
+                        <button class="btn btn-secondary queue-toggle-btn">${queue.paused ? 'Resume' : 'Pause'}</button>
+                        <button class="btn btn-secondary queue-clear-btn" ${queue.waiting.length === 0 ? 'disabled' : ''}>Clear</button>
+                        <button class="btn btn-secondary queue-edit-btn">Edit</button>
+                        <button class="btn btn-danger queue-delete-btn">Delete</button>
+                    </div>
+                </div>
+                <div class="queue-columns">
+                    <div>
+                        <h4>Running (${queue.running.length})</h4>
+                        <ul>${describeItems(queue.running, 'Idle')}</ul>
+                    </div>
+                    <div>
+                        <h4>Waiting (${queue.waiting.length})</h4>
+                        <ul>${describeItems(queue.waiting, 'Nothing waiting')}</ul>
+                    </div>
+                </div>
+            `;
+
+            // Queue names are user input, so set them as text
+            queueElement.querySelector('h3').textContent = queue.name;
+            queueElement.querySelector('.queue-toggle-btn').addEventListener('click', () => this.toggleQueuePaused(queue));
+            queueElement.querySelector('.queue-clear-btn').addEventListener('click', () => this.clearQueue(queue.name));
+            queueElement.querySelector('.queue-edit-btn').addEventListener('click', () => this.editQueue(queue));
+            queueElement.querySelector('.queue-delete-btn').addEventListener('click', () => this.deleteQueue(queue.name));
+
+            container.appendChild(queueElement);
+        });
+    }
+
+    editQueue(queue) {
+        document.getElementById('queue-name').value = queue.name;
+        document.getElementById('queue-mode').value = queue.mode;
+        document.getElementById('queue-max-depth').value = queue.maxDepth || 0;
+    }
+
+    async saveQueue() {
+        const name = document.getElementById('queue-name').value.trim();
+        if (!name) {
+            alert('Please enter a queue name');
+            return;
+        }
+
+        const existing = this.queues.find(queue => queue.name === name);
+
+        try {
+            await window.electronAPI.saveQueue({
+                name,
+                mode: document.getElementById('queue-mode').value,
+                maxDepth: parseInt(document.getElementById('queue-max-depth').value) || 0,
+                paused: existing ? existing.paused : false
+            });
+
+            document.getElementById('queue-name').value = '';
+            document.getElementById('queue-max-depth').value = 0;
+            this.addLogEntry({ level: 'success', message: `Queue "${name}" saved` });
+        } catch (error) {
+            console.error('Save queue error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to save queue: ${error.message}` });
+        }
+    }
+
+    async toggleQueuePaused(queue) {
+        try {
+            if (queue.paused) {
+                await window.electronAPI.resumeQueue(queue.name);
+                this.addLogEntry({ level: 'info', message: `Queue "${queue.name}" resumed` });
+            } else {
+                await window.electronAPI.pauseQueue(queue.name);
+                this.addLogEntry({ level: 'info', message: `Queue "${queue.name}" paused` });
+            }
+        } catch (error) {
+            console.error('Queue pause/resume error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to update queue: ${error.message}` });
+        }
+    }
+
+    async clearQueue(name) {
+        try {
+            const result = await window.electronAPI.clearQueue(name);
+            this.addLogEntry({ level: 'info', message: `Cleared ${result.cleared} waiting action(s) from queue "${name}"` });
+        } catch (error) {
+            console.error('Clear queue error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to clear queue: ${error.message}` });
+        }
+    }
+
+    async deleteQueue(name) {
+        const assigned = this.actions.filter(action => action.queue === name);
+        const warning = assigned.length > 0 ?
+            `\n\n${assigned.length} action(s) still use this queue and will keep running one at a time.` : '';
+        if (!confirm(`Are you sure you want to delete queue "${name}"?${warning}`)) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.deleteQueue(name);
+            this.addLogEntry({ level: 'info', message: `Queue "${name}" deleted` });
+        } catch (error) {
+            console.error('Delete queue error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to delete queue: ${error.message}` });
+        }
+    }
+
+    onActionTriggered(action) {
+        this.addLogEntry({ level: 'success', message: `Action triggered: ${action.name}` });
+    }
+
+    // Logging
+    // Escape text placed in innerHTML templates; action data can come from chat
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+        return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    addLogEntry(log) {
+        const container = document.getElementById('logs-container');
+        const logElement = document.createElement('div');
+        logElement.className = `log-entry log-${log.level}`;
+
+        const timestamp = new Date().toLocaleTimeString();
+        logElement.textContent = `[${timestamp}] ${log.message}`;
+
+        container.appendChild(logElement);
+        container.scrollTop = container.scrollHeight;
+    }
+
+    async saveSettings() {
+        // Collect settings from form
+        const settings = {
+            obs: {
+                host: document.getElementById('obs-host').value,
+                port: parseInt(document.getElementById('obs-port').value),
+                password: document.getElementById('obs-password').value,
+                autoReconnect: document.getElementById('obs-auto-reconnect').checked
+            },
+            twitch: {
+                username: document.getElementById('twitch-username').value,
+                oauth: document.getElementById('twitch-oauth').value,
+                channel: document.getElementById('twitch-channel').value
+            },
+            midi: {
+                device: document.getElementById('midi-device').value
+            },
+            controlApi: {
+                enabled: document.getElementById('control-api-enabled').checked,
+                port: parseInt(document.getElementById('control-api-port').value) || 8765,
+                token: document.getElementById('control-api-token').value.trim()
+            },
+            eventSub: {
+                url: document.getElementById('eventsub-url').value.trim(),
+                simulatorPort: parseInt(document.getElementById('simulator-port').value) || 8081
+            },
+            webhooks: {
+                enabled: document.getElementById('webhooks-enabled').checked,
+                port: parseInt(document.getElementById('webhooks-port').value) || 3001,
+                allowRemote: document.getElementById('webhooks-allow-remote').checked
+            }
+        };
+
+        if (settings.controlApi.enabled && !settings.controlApi.token) {
+            this.generateControlAPIToken();
+            settings.controlApi.token = document.getElementById('control-api-token').value;
+        }
+
+        try {
+            await window.electronAPI.saveSettings(settings);
+            this.settings = settings;
+            this.addLogEntry({
+                level: 'success',
+                message: 'Settings saved successfully'
+            });
+            this.refreshControlAPIStatus();
+            this.refreshWebhookStatus();
+        } catch (error) {
+            console.error('Save settings error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to save settings: ${error.message}` });
+        }
+    }
+
+    // Control API Methods
+    generateControlAPIToken() {
+        document.getElementById('control-api-token').value = this.generateSecret();
+    }
+
+    generateSecret() {
+        const bytes = new Uint8Array(24);
+        window.crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async refreshControlAPIStatus() {
+        const statusElement = document.getElementById('control-api-status');
+
+        try {
+            const status = await window.electronAPI.getControlAPIStatus();
+            if (status.running) {
+                statusElement.className = 'status connected';
+                statusElement.textContent = `Listening on port ${status.port}`;
+            } else {
+                statusElement.className = 'status disconnected';
+                statusElement.textContent = 'Stopped';
+            }
+        } catch (error) {
+            console.error('Failed to get control API status:', error);
+        }
+    }
+
+    // Variable Methods
+    async loadVariables() {
+        try {
+            this.variables = await window.electronAPI.getVariables() || {};
+            this.populateVariableActions();
+            this.updateVariableOwnerFields();
+            this.renderVariables();
+        } catch (error) {
+            console.error('Failed to load variables:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to load variables: ${error.message}` });
+        }
+    }
+
+    onVariablesUpdated(variables) {
+        this.variables = variables;
+        this.renderVariables();
+
+        // Counter values are global variables, so chat and variable steps change them here
+        if (this.counters.length > 0) {
+            this.counters.forEach(counter => {
+                const value = Number((variables.global || {})[counter.name]);
+                counter.value = Number.isFinite(value) ? value : 0;
+            });
+            this.renderCounters();
+        }
+    }
+
+    populateVariableActions() {
+        const select = document.getElementById('variable-action');
+        const selected = select.value;
+        select.innerHTML = '';
+        this.actions.forEach(action => {
+            const option = document.createElement('option');
+            option.value = action.id;
+            option.textContent = action.name;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    updateVariableOwnerFields() {
+        const scope = document.getElementById('variable-scope').value;
+        document.getElementById('variable-user-group').style.display = scope === 'user' ? 'block' : 'none';
+        document.getElementById('variable-action-group').style.display = scope === 'action' ? 'block' : 'none';
+    }
+
+    getVariableEntries() {
+        const variables = this.variables || {};
+        const entries = [];
+
+        Object.entries(variables.global || {}).forEach(([name, value]) => {
+            entries.push({ scope: 'global', key: '', name, value });
+        });
+        ['user', 'action'].forEach(scope => {
+            Object.entries(variables[scope] || {}).forEach(([key, values]) => {
+                Object.entries(values).forEach(([name, value]) => {
+                    entries.push({ scope, key, name, value });
+                });
+            });
+        });
+        return entries;
+    }
+
+    describeVariableOwner(entry) {
+        if (entry.scope === 'user') {
+            return `User: ${entry.key}`;
+        }
+        if (entry.scope === 'action') {
+            const action = this.actions.find(a => a.id === entry.key);
+            return `Action: ${action ? action.name : `${entry.key} (deleted)`}`;
+        }
+        return 'Global';
+    }
+
+    renderVariables() {
+        const container = document.getElementById('variables-list');
+        container.innerHTML = '';
+
+        const entries = this.getVariableEntries();
+        if (entries.length === 0) {
+            container.innerHTML = '<p style="color: #cccccc; text-align: center; padding: 2rem;">No variables yet. Create one above or add a variable step to an action.</p>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const variableElement = document.createElement('div');
+            variableElement.className = 'queue-item';
+
+            variableElement.innerHTML = `
+                <div class="queue-header">
+                    <div class="action-info">
+                        <h3></h3>
+                        <div class="action-details"></div>
+                    </div>
+                    <div class="action-controls">
+                        <button class="btn btn-secondary variable-edit-btn">Edit</button>
+                        <button class="btn btn-danger variable-delete-btn">Delete</button>
+                    </div>
+                </div>
+            `;
+
+            // Names, users and values can come from chat, so set them as text
+            variableElement.querySelector('h3').textContent = entry.name;
+            variableElement.querySelector('.action-details').textContent = `${this.describeVariableOwner(entry)} • ${entry.value}`;
+            variableElement.querySelector('.variable-edit-btn').addEventListener('click', () => this.editVariable(entry));
+            variableElement.querySelector('.variable-delete-btn').addEventListener('click', () => this.deleteVariable(entry));
+
+            container.appendChild(variableElement);
+        });
+    }
+
+    editVariable(entry) {
+        document.getElementById('variable-scope').value = entry.scope;
+        document.getElementById('variable-user').value = entry.scope === 'user' ? entry.key : '';
+        if (entry.scope === 'action') {
+            document.getElementById('variable-action').value = entry.key;
+        }
+        document.getElementById('variable-name').value = entry.name;
+        document.getElementById('variable-value').value = entry.value;
+        this.updateVariableOwnerFields();
+    }
+
+    getVariableFormKey(scope) {
+        if (scope === 'user') {
+            return document.getElementById('variable-user').value.trim();
+        }
+        if (scope === 'action') {
+            return document.getElementById('variable-action').value;
+        }
+        return '';
+    }
+
+    async saveVariable() {
+        const scope = document.getElementById('variable-scope').value;
+        const key = this.getVariableFormKey(scope);
+        const name = document.getElementById('variable-name').value.trim();
+        const value = document.getElementById('variable-value').value;
+
+        if (!name) {
+            alert('Please enter a variable name');
+            return;
+        }
+        if (scope !== 'global' && !key) {
+            alert(scope === 'user' ? 'Please enter a user' : 'Please choose an action');
+            return;
+        }
+
+        try {
+            await window.electronAPI.setVariable(scope, key, name, value);
+            document.getElementById('variable-name').value = '';
+            document.getElementById('variable-value').value = '';
+            this.addLogEntry({ level: 'success', message: `Variable "${name}" saved` });
+        } catch (error) {
+            console.error('Save variable error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to save variable: ${error.message}` });
+        }
+    }
+
+    async deleteVariable(entry) {
+        if (!confirm(`Delete variable "${entry.name}" (${this.describeVariableOwner(entry)})?`)) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.resetVariable(entry.scope, entry.key, entry.name);
+            this.addLogEntry({ level: 'info', message: `Variable "${entry.name}" deleted` });
+        } catch (error) {
+            console.error('Delete variable error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to delete variable: ${error.message}` });
+        }
+    }
+
+    // Counter Methods
+    async loadCounters() {
+        try {
+            this.counters = await window.electronAPI.getCounters() || [];
+            this.renderCounters();
+        } catch (error) {
+            console.error('Failed to load counters:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to load counters: ${error.message}` });
+        }
+    }
+
+    onCountersUpdated(counters) {
+        this.counters = counters;
+        this.renderCounters();
+    }
+
+    renderCounters() {
+        const container = document.getElementById('counters-list');
+        container.innerHTML = '';
+
+        if (this.counters.length === 0) {
+            container.innerHTML = '<p style="color: #cccccc; text-align: center; padding: 2rem;">No counters yet. Create one above.</p>';
+            return;
+        }
+
+        this.counters.forEach(counter => {
+            const counterElement = document.createElement('div');
+            counterElement.className = 'queue-item';
+
+            const details = [
+                `Value: ${counter.value}`,
+                `!${counter.name}+ / !${counter.name}- / !${counter.name} set N`,
+                counter.obsSource ? 'Shown in OBS' : null
+            ].filter(Boolean).join(' • ');
+
+            counterElement.innerHTML = `
+                <div class="queue-header">
+                    <div class="action-info">
+                        <h3></h3>
+                        <div class="action-details"></div>
+                    </div>
+                    <div class="action-controls">
+                        <button class="btn btn-secondary counter-decrement-btn">-1</button>
+                        <button class="btn btn-secondary counter-increment-btn">+1</button>
+                        <button class="btn btn-secondary counter-reset-btn">Reset</button>
+                        <button class="btn btn-secondary counter-edit-btn">Edit</button>
+                        <button class="btn btn-danger counter-delete-btn">Delete</button>
+                    </div>
+                </div>
+            `;
+
+            counterElement.querySelector('h3').textContent = `!${counter.name}`;
+            counterElement.querySelector('.action-details').textContent = details;
+            counterElement.querySelector('.counter-decrement-btn').addEventListener('click', () => this.changeCounter(counter, -1));
+            counterElement.querySelector('.counter-increment-btn').addEventListener('click', () => this.changeCounter(counter, 1));
+            counterElement.querySelector('.counter-reset-btn').addEventListener('click', () => this.resetCounter(counter));
+            counterElement.querySelector('.counter-edit-btn').addEventListener('click', () => this.editCounter(counter));
+            counterElement.querySelector('.counter-delete-btn').addEventListener('click', () => this.deleteCounter(counter));
+
+            container.appendChild(counterElement);
+        });
+    }
+
+    resetCounterForm() {
+        document.getElementById('counter-name').value = '';
+        document.getElementById('counter-name').disabled = false;
+        document.getElementById('counter-value').value = '';
+        ['viewer', 'subscriber', 'vip'].forEach(role => {
+            document.getElementById(`counter-perm-${role}`).checked = false;
+        });
+        document.getElementById('counter-perm-moderator').checked = true;
+        document.getElementById('counter-perm-broadcaster').checked = true;
+        document.getElementById('counter-reply').value = '{counter}: {count}';
+        document.getElementById('counter-obs-source').value = '';
+        document.getElementById('counter-obs-text').value = '{count}';
+    }
+
+    editCounter(counter) {
+        // The name is also the command and the variable, so it stays fixed once created
+        document.getElementById('counter-name').value = counter.name;
+        document.getElementById('counter-name').disabled = true;
+        document.getElementById('counter-value').value = counter.value;
+        ['viewer', 'subscriber', 'vip', 'moderator', 'broadcaster'].forEach(role => {
+            document.getElementById(`counter-perm-${role}`).checked = Boolean(counter.permissions && counter.permissions[role]);
+        });
+        document.getElementById('counter-reply').value = counter.reply || '';
+        document.getElementById('counter-obs-source').value = counter.obsSource || '';
+        document.getElementById('counter-obs-text').value = counter.obsText || '{count}';
+    }
+
+    async saveCounter() {
+        const name = document.getElementById('counter-name').value.trim().replace(/^!/, '');
+        if (!name) {
+            alert('Please enter a counter name');
+            return;
+        }
+
+        const permissions = {};
+        ['viewer', 'subscriber', 'vip', 'moderator', 'broadcaster'].forEach(role => {
+            permissions[role] = document.getElementById(`counter-perm-${role}`).checked;
+        });
+        const value = document.getElementById('counter-value').value.trim();
+
+        try {
+            await window.electronAPI.saveCounter({
+                name,
+                permissions,
+                reply: document.getElementById('counter-reply').value.trim(),
+                obsSource: document.getElementById('counter-obs-source').value.trim(),
+                obsText: document.getElementById('counter-obs-text').value
+            }, document.getElementById('counter-name').disabled ? name : null);
+
+            if (value !== '') {
+                await window.electronAPI.setCounter(name, value);
+            }
+
+            this.resetCounterForm();
+            this.addLogEntry({ level: 'success', message: `Counter "${name}" saved` });
+        } catch (error) {
+            console.error('Save counter error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to save counter: ${error.message}` });
+        }
+    }
+
+    async changeCounter(counter, amount) {
+        try {
+            await window.electronAPI.changeCounter(counter.name, amount);
+        } catch (error) {
+            console.error('Change counter error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to change counter: ${error.message}` });
+        }
+    }
+
+    async resetCounter(counter) {
+        if (!confirm(`Reset !${counter.name} to 0?`)) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.setCounter(counter.name, 0);
+            this.addLogEntry({ level: 'info', message: `Counter "${counter.name}" reset` });
+        } catch (error) {
+            console.error('Reset counter error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to reset counter: ${error.message}` });
+        }
+    }
+
+    async deleteCounter(counter) {
+        if (!confirm(`Delete counter !${counter.name}? Its value stays in the Variables tab.`)) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.deleteCounter(counter.name);
+            this.addLogEntry({ level: 'info', message: `Counter "${counter.name}" deleted` });
+        } catch (error) {
+            console.error('Delete counter error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to delete counter: ${error.message}` });
+        }
+    }
+
+    // Quote Methods
+    async loadQuotes() {
+        try {
+            this.quotes = await window.electronAPI.getQuotes() || [];
+            this.renderQuotes();
+        } catch (error) {
+            console.error('Failed to load quotes:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to load quotes: ${error.message}` });
+        }
+    }
+
+    onQuotesUpdated(quotes) {
+        this.quotes = quotes;
+        this.renderQuotes();
+    }
+
+    renderQuotes() {
+        const container = document.getElementById('quotes-list');
+        container.innerHTML = '';
+
+        const search = document.getElementById('quote-search').value.trim().toLowerCase();
+        const quotes = this.quotes.filter(quote => !search ||
+            [quote.text, quote.game, quote.addedBy].some(field => (field || '').toLowerCase().includes(search)));
+
+        if (quotes.length === 0) {
+            const emptyText = this.quotes.length === 0 ? 'No quotes yet. Add one above or with !quote add in chat.' : 'No quotes match the search.';
+            container.innerHTML = `<p style="color: #cccccc; text-align: center; padding: 2rem;">${emptyText}</p>`;
+            return;
+        }
+
+        // Newest first, as those are the ones most likely to need fixing
+        [...quotes].reverse().forEach(quote => {
+            const quoteElement = document.createElement('div');
+            quoteElement.className = 'queue-item';
+
+            const details = [
+                `#${quote.number}`,
+                quote.game || null,
+                quote.addedBy ? `Added by ${quote.addedBy}` : null,
+                new Date(quote.addedAt).toLocaleDateString()
+            ].filter(Boolean).join(' • ');
+
+            quoteElement.innerHTML = `
+                <div class="queue-header">
+                    <div class="action-info">
+                        <h3></h3>
+                        <div class="action-details"></div>
+                    </div>
+                    <div class="action-controls">
+                        <button class="btn btn-secondary quote-edit-btn">Edit</button>
+                        <button class="btn btn-danger quote-delete-btn">Delete</button>
+                    </div>
+                </div>
+            `;
+
+            // Quotes come from chat, so set them as text
+            quoteElement.querySelector('h3').textContent = quote.text;
+            quoteElement.querySelector('.action-details').textContent = details;
+            quoteElement.querySelector('.quote-edit-btn').addEventListener('click', () => this.editQuote(quote));
+            quoteElement.querySelector('.quote-delete-btn').addEventListener('click', () => this.deleteQuote(quote));
+
+            container.appendChild(quoteElement);
+        });
+    }
+
+    resetQuoteForm() {
+        document.getElementById('quote-editor-title').textContent = 'New Quote';
+        document.getElementById('quote-number').value = '';
+        document.getElementById('quote-text').value = '';
+        document.getElementById('quote-game').value = '';
+        // New quotes get the current game from Twitch
+        document.getElementById('quote-game-group').style.display = 'none';
+    }
+
+    editQuote(quote) {
+        document.getElementById('quote-editor-title').textContent = `Edit Quote #${quote.number}`;
+        document.getElementById('quote-number').value = quote.number;
+        document.getElementById('quote-text').value = quote.text;
+        document.getElementById('quote-game').value = quote.game || '';
+        document.getElementById('quote-game-group').style.display = 'block';
+    }
+
+    async saveQuote() {
+        const number = document.getElementById('quote-number').value;
+        const text = document.getElementById('quote-text').value.trim();
+        if (!text) {
+            alert('Please enter the quote text');
+            return;
+        }
+
+        try {
+            if (number) {
+                await window.electronAPI.updateQuote(parseInt(number), {
+                    text,
+                    game: document.getElementById('quote-game').value
+                });
+                this.addLogEntry({ level: 'success', message: `Updated quote #${number}` });
+            } else {
+                const quote = await window.electronAPI.addQuote(text);
+                this.addLogEntry({ level: 'success', message: `Added quote #${quote.number}` });
+            }
+            this.resetQuoteForm();
+        } catch (error) {
+            console.error('Save quote error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to save quote: ${error.message}` });
+        }
+    }
+
+    async deleteQuote(quote) {
+        if (!confirm(`Delete quote #${quote.number}?`)) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.deleteQuote(quote.number);
+            this.addLogEntry({ level: 'info', message: `Deleted quote #${quote.number}` });
+        } catch (error) {
+            console.error('Delete quote error:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to delete quote: ${error.message}` });
+        }
+    }
+
+    // Reward Methods
+    async loadRewards() {
+        const container = document.getElementById('rewards-list');
+
+        try {
+            const apiStatus = await window.electronAPI.getTwitchAPIStatus();
+            if (!apiStatus.authenticated) {
+                this.rewards = [];
+                container.innerHTML = '<p style="color: #cccccc; text-align: center; padding: 2rem;">Authenticate with the Twitch API in Settings to manage rewards.</p>';
+                return;
+            }
+
+            this.rewards = await window.electronAPI.listRewards() || [];
+            this.renderRewards();
+        } catch (error) {
+            console.error('Failed to load rewards:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to load rewards: ${error.message}` });
+        }
+    }
+
+    renderRewards() {
+        const container = document.getElementById('rewards-list');
+        container.innerHTML = '';
+
+        if (this.rewards.length === 0) {
+            container.innerHTML = '<p style="color: #cccccc; text-align: center; padding: 2rem;">No channel point rewards yet. Create one above.</p>';
+            return;
+        }
+
+        this.rewards.forEach(reward => {
+            const rewardElement = document.createElement('div');
+            rewardElement.className = 'queue-item';
+
+            const flags = [
+                `${reward.cost} points`,
+                reward.is_enabled ? 'Enabled' : 'Disabled',
+                reward.is_paused ? '<span class="queue-paused">Paused</span>' : null,
+                reward.manageable ? null : 'Created outside Debbot (read-only)'
+            ].filter(Boolean).join(' • ');
+
+            rewardElement.innerHTML = `
+                <div class="queue-header">
+                    <div class="action-info">
+                        <h3></h3>
+                        <div class="action-details">${flags}</div>
+                    </div>
+                    <div class="action-controls">
+                        <button class="btn btn-secondary reward-pause-btn">${reward.is_paused ? 'Resume' : 'Pause'}</button>
+                        <button class="btn btn-secondary reward-enable-btn">${reward.is_enabled ? 'Disable' : 'Enable'}</button>
+                        <button class="btn btn-secondary reward-edit-btn">Edit</button>
+                        <button class="btn btn-danger reward-delete-btn">Delete</button>
+                    </div>
+                </div>
+            `;
+
+            // Reward titles are user input, so set them as text
+            rewardElement.querySelector('h3').textContent = reward.title;
+            rewardElement.querySelectorAll('.action-controls button').forEach(button => {
+                button.disabled = !reward.manageable;
+            });
+            rewardElement.querySelector('.reward-pause-btn').addEventListener('click', () => this.updateReward(reward, { is_paused: !reward.is_paused }));
+            rewardElement.querySelector('.reward-enable-btn').addEventListener('click', () => this.updateReward(reward, { is_enabled: !reward.is_enabled }));
+            rewardElement.querySelector('.reward-edit-btn').addEventListener('click', () => this.editReward(reward));
+            rewardElement.querySelector('.reward-delete-btn').addEventListener('click', () => this.deleteReward(reward));
+
+            container.appendChild(rewardElement);
+        });
+    }
+
+    resetRewardForm() {
+        document.getElementById('reward-editor-title').textContent = 'New Reward';
+        document.getElementById('reward-id').value = '';
+        document.getElementById('reward-title').value = '';
+        document.getElementById('reward-cost').value = 100;
+        document.getElementById('reward-prompt').value = '';
+        document.getElementById('reward-color').value = '#9147ff';
+        document.getElementById('reward-cooldown').value = 0;
+        document.getElementById('reward-max-per-stream').value = 0;
+        document.getElementById('reward-input-required').checked = false;
+        document.getElementById('reward-skip-queue').checked = false;
+        document.getElementById('reward-enabled').checked = true;
+    }
+
+    editReward(reward) {
+        document.getElementById('reward-editor-title').textContent = `Edit Reward: ${reward.title}`;
+        document.getElementById('reward-id').value = reward.id;
+        document.getElementById('reward-title').value = reward.title;
+        document.getElementById('reward-cost').value = reward.cost;
+        document.getElementById('reward-prompt').value = reward.prompt || '';
+        document.getElementById('reward-color').value = reward.background_color || '#9147ff';
+        document.getElementById('reward-cooldown').value = reward.global_cooldown_setting?.is_enabled ? reward.global_cooldown_setting.global_cooldown_seconds : 0;
+        document.getElementById('reward-max-per-stream').value = reward.max_per_stream_setting?.is_enabled ? reward.max_per_stream_setting.max_per_stream : 0;
+        document.getElementById('reward-input-required').checked = reward.is_user_input_required;
+        document.getElementById('reward-skip-queue').checked = reward.should_redemptions_skip_request_queue;
+        document.getElementById('reward-enabled').checked = reward.is_enabled;
+    }
+
+    async saveReward() {
+        const rewardId = document.getElementById('reward-id').value;
+        const title = document.getElementById('reward-title').value.trim();
+        const cost = parseInt(document.getElementById('reward-cost').value);
+        if (!title || !(cost > 0)) {
+            alert('Rewards need a title and a cost of at least 1');
+            return;
+        }
+
+        const cooldown = parseInt(document.getElementById('reward-cooldown').value) || 0;
+        const maxPerStream = parseInt(document.getElementById('reward-max-per-stream').value) || 0;
+        const rewardData = {
+            title,
+            cost,
+            prompt: document.getElementById('reward-prompt').value.trim(),
+            background_color: document.getElementById('reward-color').value,
+            is_enabled: document.getElementById('reward-enabled').checked,
+            is_user_input_required: document.getElementById('reward-input-required').checked,
+            should_redemptions_skip_request_queue: document.getElementById('reward-skip-queue').checked,
+            is_global_cooldown_enabled: cooldown > 0,
+            global_cooldown_seconds: cooldown > 0 ? cooldown : undefined,
+            is_max_per_stream_enabled: maxPerStream > 0,
+            max_per_stream: maxPerStream > 0 ? maxPerStream : undefined
+        };
+
+        try {
+            if (rewardId) {
+                await window.electronAPI.updateReward(rewardId, rewardData);
+                this.addLogEntry({ level: 'success', message: `Updated reward "${title}"` });
+            } else {
+                await window.electronAPI.createReward(rewardData);
+                this.addLogEntry({ level: 'success', message: `Created reward "${title}"` });
+            }
+            this.resetRewardForm();
+            await this.loadRewards();
+        } catch (error) {
+            console.error('Failed to save reward:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to save reward: ${error.message}` });
+        }
+    }
+
+    async updateReward(reward, changes) {
+        try {
+            await window.electronAPI.updateReward(reward.id, changes);
+            await this.loadRewards();
+        } catch (error) {
+            console.error('Failed to update reward:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to update reward "${reward.title}": ${error.message}` });
+        }
+    }
+
+    async deleteReward(reward) {
+        if (!confirm(`Are you sure you want to delete reward "${reward.title}"?`)) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.deleteReward(reward.id);
+            this.addLogEntry({ level: 'success', message: `Deleted reward "${reward.title}"` });
+            await this.loadRewards();
+        } catch (error) {
+            console.error('Failed to delete reward:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to delete reward: ${error.message}` });
+        }
+    }
+
+    // Event Simulator Methods
+    async loadSimulator() {
+        const status = await window.electronAPI.getSimulatorStatus();
+
+        const subscriptionSelect = document.getElementById('simulator-subscription-type');
+        subscriptionSelect.innerHTML = status.subscriptionTypes
+            .map(type => `<option value="${type}">${type}</option>`)
+            .join('');
+        subscriptionSelect.value = 'channel.cheer';
+
+        this.setSimulatorStatus(status);
+        await this.loadSimulatorSample();
+    }
+
+    setSimulatorStatus(status) {
+        const statusElement = document.getElementById('simulator-status');
+        if (status.running) {
+            statusElement.className = status.sessions.length > 0 ? 'status connected' : 'status connecting';
+            statusElement.textContent = `${status.url} (${status.sessions.length} session${status.sessions.length === 1 ? '' : 's'})`;
+        } else {
+            statusElement.className = 'status disconnected';
+            statusElement.textContent = 'Stopped';
+        }
+
+        document.getElementById('simulator-start-btn').disabled = status.running;
+        document.getElementById('simulator-stop-btn').disabled = !status.running;
+    }
+
+    async loadSimulatorSample() {
+        const messageType = document.getElementById('simulator-message-type').value;
+        const subscriptionType = document.getElementById('simulator-subscription-type').value;
+
+        // Only notifications and revocations belong to a subscription
+        document.getElementById('simulator-subscription-group').style.display =
+            ['notification', 'revocation'].includes(messageType) ? 'block' : 'none';
+
+        try {
+            const payload = await window.electronAPI.getSimulatorSample(messageType, subscriptionType);
+            document.getElementById('simulator-payload').value = JSON.stringify(payload, null, 2);
+        } catch (error) {
+            console.error('Failed to load simulator sample:', error);
+        }
+    }
+
+    async startSimulator() {
+        const port = parseInt(document.getElementById('simulator-port').value) || 8081;
+
+        try {
+            const status = await window.electronAPI.startSimulator(port);
+            this.setSimulatorStatus(status);
+            this.addLogEntry({ level: 'success', message: `Event Simulator started on ${status.url}` });
+        } catch (error) {
+            console.error('Failed to start simulator:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to start Event Simulator: ${error.message}` });
+        }
+    }
+
+    async stopSimulator() {
+        try {
+            const status = await window.electronAPI.stopSimulator();
+            this.setSimulatorStatus(status);
+            this.addLogEntry({ level: 'info', message: 'Event Simulator stopped' });
+        } catch (error) {
+            console.error('Failed to stop simulator:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to stop Event Simulator: ${error.message}` });
+        }
+    }
+
+    async sendSimulatorMessage() {
+        const messageType = document.getElementById('simulator-message-type').value;
+
+        let payload;
+        try {
+            payload = JSON.parse(document.getElementById('simulator-payload').value || '{}');
+        } catch (error) {
+            this.addLogEntry({ level: 'error', message: `Simulator payload is not valid JSON: ${error.message}` });
+            return;
+        }
+
+        try {
+            await window.electronAPI.sendSimulatorMessage(messageType, payload);
+            const subscriptionType = payload.subscription ? ` (${payload.subscription.type})` : '';
+            this.addLogEntry({ level: 'info', message: `Simulator sent ${messageType}${subscriptionType}` });
+        } catch (error) {
+            console.error('Failed to send simulator message:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to send simulator message: ${error.message}` });
+        }
+    }
+
+    // Webhook Methods
+    async refreshWebhookStatus() {
+        const statusElement = document.getElementById('webhooks-status');
+
+        try {
+            const status = await window.electronAPI.getWebhookStatus();
+            if (status.running) {
+                statusElement.className = 'status connected';
+                statusElement.textContent = `Listening on http://${status.host}:${status.port}/hooks/`;
+            } else {
+                statusElement.className = 'status disconnected';
+                statusElement.textContent = 'Stopped';
+            }
+        } catch (error) {
+            console.error('Failed to get webhook status:', error);
+        }
+    }
+
+    async autoConnectServices() {
+        console.log('Attempting auto-connection to services...');
+
+        // Check OBS settings
+        const obsSettings = this.settings.obs;
+        if (obsSettings && obsSettings.host && obsSettings.port) {
+            this.addLogEntry({ level: 'info', message: 'Auto-connecting to OBS...' });
+            try {
+                await this.connectOBS();
+            } catch (error) {
+                // Auto-connection failures are logged by connectOBS, no need to log again
+                console.log('Auto OBS connection failed (expected if OBS not running)');
+            }
+        } else {
+            this.addLogEntry({ level: 'warn', message: 'OBS settings incomplete - skipping auto-connect' });
+        }
+
+        // Check Twitch settings
+        const twitchSettings = this.settings.twitch;
+        if (twitchSettings && twitchSettings.username && twitchSettings.oauth && twitchSettings.channel) {
             this.addLogEntry({ level: 'info', message: 'Auto-connecting to Twitch...' });
             try {
                 await this.connectTwitch();
@@ -1050,6 +2844,51 @@ class DebbotApp {
         this.addLogEntry({ level: 'success', message: `Authenticated as ${data.user.display_name}` });
     }
 
+    // Logins saved by an older version lack newer scopes; only logging in again grants them
+    onTwitchAPIScopesMissing(scopes) {
+        const statusElement = document.getElementById('twitch-api-status');
+        statusElement.className = 'status connecting';
+        statusElement.textContent = 'Re-authentication required';
+
+        this.addLogEntry({
+            level: 'warn',
+            message: `Twitch API login is missing permissions (${scopes.join(', ')}). Log out and authenticate again in Settings so all events work.`
+        });
+    }
+
+    onEventSubStatus(data) {
+        const previous = this.eventSubStatus;
+        this.setEventSubStatus(data);
+
+        if (data.status === previous) {
+            return;
+        }
+
+        if (data.status === 'reconnecting') {
+            this.addLogEntry({
+                level: 'warn',
+                message: `EventSub ${data.reason}, reconnecting in ${Math.round(data.delay / 1000)}s (attempt ${data.attempt})...`
+            });
+        } else if (data.status === 'connected' && previous === 'reconnecting') {
+            this.addLogEntry({ level: 'success', message: 'EventSub reconnected, subscriptions restored' });
+        }
+    }
+
+    setEventSubStatus(data) {
+        this.eventSubStatus = data.status;
+
+        const statusElement = document.getElementById('eventsub-status');
+        const labels = {
+            connected: `Connected (${data.subscriptions} subs)`,
+            connecting: 'Connecting...',
+            reconnecting: `Reconnecting... (attempt ${data.attempt})`,
+            disconnected: 'Disconnected'
+        };
+
+        statusElement.className = `status ${data.status === 'reconnecting' ? 'connecting' : data.status}`;
+        statusElement.textContent = labels[data.status] || data.status;
+    }
+
     onTwitchAPILoggedOut() {
         const statusElement = document.getElementById('twitch-api-status');
         const infoElement = document.getElementById('broadcaster-info');
@@ -1113,9 +2952,12 @@ class DebbotApp {
             await window.electronAPI.triggerSubscriber(subscriberData);
             let message = '';
             if (subscriberData.isGift) {
-                message = `${subscriberData.userName} received a gifted subscription from ${subscriberData.gifterName}`;
-            } else if (subscriberData.cumulativeMonths > 1) {
+                message = `${subscriberData.userName} received a gifted subscription from ${subscriberData.gifterName || 'a gifter'}`;
+            } else if (subscriberData.isResub || subscriberData.cumulativeMonths > 1) {
                 message = `${subscriberData.userName} resubscribed for ${subscriberData.cumulativeMonths} months`;
+                if (subscriberData.message) {
+                    message += `: ${subscriberData.message}`;
+                }
             } else {
                 message = `${subscriberData.userName} subscribed`;
             }
@@ -1132,6 +2974,57 @@ class DebbotApp {
         }
     }
 
+    async onGiftBomb(giftData) {
+        try {
+            await window.electronAPI.triggerGiftBomb(giftData);
+            const gifter = giftData.isAnonymous ? 'Anonymous' : giftData.userName;
+            this.addLogEntry({ level: 'success', message: `${gifter} gifted ${giftData.total} subs` });
+        } catch (error) {
+            console.error('Failed to trigger gift bomb action:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to process gift subs: ${error.message}` });
+        }
+    }
+
+    async onFollow(followData) {
+        try {
+            await window.electronAPI.triggerFollow(followData);
+            this.addLogEntry({ level: 'success', message: `${followData.userName} followed` });
+        } catch (error) {
+            console.error('Failed to trigger follow action:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to process follow: ${error.message}` });
+        }
+    }
+
+    async onRaid(raidData) {
+        try {
+            await window.electronAPI.triggerRaid(raidData);
+            this.addLogEntry({ level: 'success', message: `${raidData.userName} raided with ${raidData.viewers} viewers` });
+        } catch (error) {
+            console.error('Failed to trigger raid action:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to process raid: ${error.message}` });
+        }
+    }
+
+    async onStreamOnline(streamData) {
+        try {
+            await window.electronAPI.triggerStreamOnline(streamData);
+            this.addLogEntry({ level: 'success', message: 'Stream went online' });
+        } catch (error) {
+            console.error('Failed to trigger stream online action:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to process stream online: ${error.message}` });
+        }
+    }
+
+    async onStreamOffline(streamData) {
+        try {
+            await window.electronAPI.triggerStreamOffline(streamData);
+            this.addLogEntry({ level: 'success', message: 'Stream went offline' });
+        } catch (error) {
+            console.error('Failed to trigger stream offline action:', error);
+            this.addLogEntry({ level: 'error', message: `Failed to process stream offline: ${error.message}` });
+        }
+    }
+
     async populateChannelPointRewards() {
         const rewardSelect = document.getElementById('action-reward');
 
@@ -0,0 +1,291 @@
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+
+// Example events for each supported subscription type, shown in the Event Simulator
+const SAMPLE_EVENTS = {
+    'channel.channel_points_custom_reward_redemption.add': {
+        id: 'redemption-id',
+        user_id: '1234',
+        user_login: 'testviewer',
+        user_name: 'TestViewer',
+        user_input: 'Hello from the simulator',
+        status: 'unfulfilled',
+        reward: { id: 'reward-id', title: 'Test Reward', cost: 100, prompt: '' },
+        redeemed_at: null
+    },
+    'channel.cheer': {
+        is_anonymous: false,
+        user_id: '1234',
+        user_login: 'testviewer',
+        user_name: 'TestViewer',
+        message: 'Cheer100 great stream!',
+        bits: 100
+    },
+    'channel.subscribe': {
+        user_id: '1234',
+        user_login: 'testviewer',
+        user_name: 'TestViewer',
+        tier: '1000',
+        is_gift: false
+    },
+    'channel.subscription.gift': {
+        user_id: '1234',
+        user_login: 'testviewer',
+        user_name: 'TestViewer',
+        total: 5,
+        tier: '1000',
+        cumulative_total: 25,
+        is_anonymous: false
+    },
+    'channel.subscription.message': {
+        user_id: '1234',
+        user_login: 'testviewer',
+        user_name: 'TestViewer',
+        tier: '1000',
+        message: { text: 'Happy to be here!', emotes: [] },
+        cumulative_months: 12,
+        streak_months: 6,
+        duration_months: 1
+    },
+    'channel.follow': {
+        user_id: '1234',
+        user_login: 'testviewer',
+        user_name: 'TestViewer',
+        followed_at: null
+    },
+    'channel.raid': {
+        from_broadcaster_user_id: '5678',
+        from_broadcaster_user_login: 'testraider',
+        from_broadcaster_user_name: 'TestRaider',
+        viewers: 42
+    },
+    'stream.online': {
+        id: 'stream-id',
+        type: 'live',
+        started_at: null
+    },
+    'stream.offline': {}
+};
+
+/**
+ * Local stand-in for wss://eventsub.wss.twitch.tv/ws so triggers can be tested
+ * without real events. Each connection gets a welcome like Twitch sends, and the
+ * Event Simulator panel pushes further messages through send().
+ */
+class EventSubMockServer {
+    constructor() {
+        this.server = null;
+        this.port = null;
+        this.clients = new Set();
+        this.keepaliveTimeoutSeconds = 30;
+    }
+
+    async start(port = 8081) {
+        if (this.server) {
+            await this.stop();
+        }
+
+        const listenPort = parseInt(port) || 8081;
+        await new Promise((resolve, reject) => {
+            const server = new WebSocket.Server({ host: '127.0.0.1', port: listenPort });
+            server.once('listening', () => {
+                server.off('error', reject);
+                this.server = server;
+                resolve();
+            });
+            server.once('error', reject);
+        });
+
+        this.port = listenPort;
+        this.server.on('connection', socket => this.handleConnection(socket));
+        // Without a listener a later server error would crash the main process
+        this.server.on('error', (error) => console.error('EventSub simulator error:', error));
+        console.log(`EventSub simulator listening on ${this.getUrl()}`);
+        this.emitStatus();
+    }
+
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        for (const client of this.clients) {
+            clearInterval(client.keepaliveInterval);
+            client.socket.close(1001, 'Simulator stopped');
+        }
+        this.clients.clear();
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+        this.port = null;
+        console.log('EventSub simulator stopped');
+        this.emitStatus();
+    }
+
+    getUrl() {
+        return this.port ? `ws://127.0.0.1:${this.port}/ws` : null;
+    }
+
+    getStatus() {
+        return {
+            running: this.server !== null,
+            url: this.getUrl(),
+            sessions: Array.from(this.clients).map(client => client.sessionId)
+        };
+    }
+
+    handleConnection(socket) {
+        const client = { socket, sessionId: uuidv4(), keepaliveInterval: null };
+        this.clients.add(client);
+
+        socket.on('close', () => {
+            clearInterval(client.keepaliveInterval);
+            this.clients.delete(client);
+            this.emitStatus();
+        });
+
+        // Twitch welcomes every new connection, including ones made from a reconnect_url
+        this.sendToClient(client, 'session_welcome', this.getSamplePayload('session_welcome', null, client));
+
+        // Keep the session alive like Twitch does, so the client's watchdog stays quiet
+        client.keepaliveInterval = setInterval(() => {
+            this.sendToClient(client, 'session_keepalive', {});
+        }, this.keepaliveTimeoutSeconds * 1000 / 2);
+
+        this.emitStatus();
+    }
+
+    /**
+     * Send a message to every connected session. During a reconnect handover both
+     * sockets receive it with the same message_id, like a duplicate delivery from Twitch.
+     */
+    send(messageType, payload = {}) {
+        if (!this.server) {
+            throw new Error('EventSub simulator is not running');
+        }
+        if (this.clients.size === 0) {
+            throw new Error('No EventSub client is connected to the simulator');
+        }
+
+        const message = this.buildMessage(messageType, payload);
+        for (const client of this.clients) {
+            this.sendRaw(client, message);
+        }
+        return message;
+    }
+
+    sendToClient(client, messageType, payload) {
+        this.sendRaw(client, this.buildMessage(messageType, payload));
+    }
+
+    sendRaw(client, message) {
+        if (client.socket.readyState === WebSocket.OPEN) {
+            client.socket.send(JSON.stringify(message));
+        }
+    }
+
+    buildMessage(messageType, payload) {
+        const metadata = {
+            message_id: uuidv4(),
+            message_type: messageType,
+            message_timestamp: new Date().toISOString()
+        };
+
+        if (payload.subscription) {
+            metadata.subscription_type = payload.subscription.type;
+            metadata.subscription_version = payload.subscription.version;
+        }
+
+        return { metadata, payload };
+    }
+
+    /**
+     * Build an editable example payload for a message type
+     */
+    getSamplePayload(messageType, subscriptionType, client = this.getLatestClient(), subscription = null) {
+        const now = new Date().toISOString();
+        const session = {
+            id: client ? client.sessionId : uuidv4(),
+            status: 'connected',
+            connected_at: now,
+            keepalive_timeout_seconds: this.keepaliveTimeoutSeconds,
+            reconnect_url: null
+        };
+
+        switch (messageType) {
+            case 'session_welcome':
+                return { session };
+
+            case 'session_keepalive':
+                return {};
+
+            case 'session_reconnect':
+                return {
+                    session: {
+                        ...session,
+                        status: 'reconnecting',
+                        keepalive_timeout_seconds: null,
+                        reconnect_url: this.getUrl()
+                    }
+                };
+
+            case 'notification':
+            case 'revocation': {
+                const type = subscriptionType || 'channel.cheer';
+                const payload = {
+                    subscription: {
+                        id: subscription ? subscription.id : uuidv4(),
+                        status: messageType === 'revocation' ? 'authorization_revoked' : 'enabled',
+                        type,
+                        version: subscription ? subscription.version : (type === 'channel.follow' ? '2' : '1'),
+                        cost: 0,
+                        condition: subscription ? subscription.condition : {},
+                        transport: { method: 'websocket', session_id: session.id },
+                        created_at: now
+                    }
+                };
+
+                if (messageType === 'notification') {
+                    payload.event = this.getSampleEvent(type, now);
+                }
+                return payload;
+            }
+
+            default:
+                throw new Error(`Unknown EventSub message type: ${messageType}`);
+        }
+    }
+
+    getSampleEvent(type, now) {
+        const event = {
+            broadcaster_user_id: '1000',
+            broadcaster_user_login: 'testbroadcaster',
+            broadcaster_user_name: 'TestBroadcaster',
+            ...JSON.parse(JSON.stringify(SAMPLE_EVENTS[type] || {}))
+        };
+
+        // Fill in timestamps so samples look like live events
+        for (const key of ['redeemed_at', 'followed_at', 'started_at']) {
+            if (key in event) {
+                event[key] = now;
+            }
+        }
+        return event;
+    }
+
+    getSubscriptionTypes() {
+        return Object.keys(SAMPLE_EVENTS);
+    }
+
+    getLatestClient() {
+        return Array.from(this.clients).pop() || null;
+    }
+
+    emitStatus() {
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('simulator:status', this.getStatus());
+        }
+    }
+}
+
+module.exports = EventSubMockServer;
@@ -4,6 +4,29 @@ const WebSocket = require('ws');
 const { BrowserWindow } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+
+const EVENTSUB_WEBSOCKET_URL = 'wss://eventsub.wss.twitch.tv/ws';
+
+// How many recent EventSub message IDs to remember for duplicate detection
+const EVENTSUB_MESSAGE_ID_HISTORY = 500;
+
+// How long a gifted sub waits for its channel.subscription.gift, and how long a gift
+// keeps matching recipients (large gift bombs deliver their subs over a while)
+const GIFTED_SUB_HOLD_MS = 5000;
+const COMMUNITY_GIFT_WINDOW_MS = 2 * 60 * 1000;
+
+// How long a tier 1 sub waits for chat's announcement, which is the only place Prime shows up
+const PRIME_NOTICE_WAIT_MS = 3000;
+
+// Everything the EventSub subscriptions need; tokens saved before a scope was added here don't have it
+const REQUIRED_SCOPES = [
+    'channel:read:redemptions',
+    'channel:manage:redemptions',
+    'bits:read',
+    'channel:read:subscriptions',
+    'moderator:read:followers'
+];
 
 class TwitchAPIClient {
     constructor() {
@@ -11,6 +34,7 @@ class TwitchAPIClient {
         this.clientSecret = process.env.TWITCH_CLIENT_SECRET || 'your_client_secret_here';
         this.redirectUri = 'http://localhost:3000/auth/twitch/callback';
         this.tokens = null;
+        this.missingScopesCheck = null;
         this.authWindow = null;
         this.authServer = null;
         this.authResolve = null;
@@ -20,7 +44,25 @@ class TwitchAPIClient {
         this.lastRedeemId = null;
         this.eventSubSubscriptions = new Map();
         this.eventSubWebSocket = null;
-        this.keepaliveInterval = null;
+        this.eventSubUrl = EVENTSUB_WEBSOCKET_URL;
+        // Replacement socket opened on session_reconnect, promoted once it sends its welcome
+        this.eventSubReconnectSocket = null;
+        this.recentEventSubMessageIds = new Set();
+
+        // EventSub health: keepalive watchdog and reconnection with backoff
+        this.eventSubStatus = 'disconnected';
+        this.eventSubStopped = true;
+        this.keepaliveTimeout = null;
+        this.keepaliveTimeoutMs = null;
+        this.lastEventSubMessageAt = null;
+        this.eventSubRetryCount = 0;
+        this.eventSubInitialRetryDelay = 1000; // 1 second
+        this.eventSubMaxRetryDelay = 60000; // 60 seconds
+        this.eventSubReconnectTimeout = null;
+        // Gifts still waiting for their per-recipient channel.subscribe events, and gifted
+        // subs held back until their channel.subscription.gift arrives (Twitch sends them in either order)
+        this.pendingCommunityGifts = [];
+        this.pendingGiftedSubs = [];
     }
 
     /**
@@ -31,7 +73,7 @@ class TwitchAPIClient {
             `client_id=${this.clientId}&` +
             `redirect_uri=${encodeURIComponent(this.redirectUri)}&` +
             `response_type=code&` +
-            `scope=${encodeURIComponent('channel:read:redemptions channel:manage:redemptions bits:read channel:read:subscriptions')}`;
+            `scope=${encodeURIComponent(REQUIRED_SCOPES.join(' '))}`;
 
         return new Promise(async (resolve, reject) => {
             try {
@@ -210,8 +252,10 @@ class TwitchAPIClient {
             this.tokens = {
                 access_token: tokenResponse.data.access_token,
                 refresh_token: tokenResponse.data.refresh_token,
-                expires_at: Date.now() + (tokenResponse.data.expires_in * 1000)
+                expires_at: Date.now() + (tokenResponse.data.expires_in * 1000),
+                scopes: tokenResponse.data.scope || []
             };
+            this.missingScopesCheck = null;
 
             // Get user info
             const userResponse = await this.apiCall('https://api.twitch.tv/helix/users');
@@ -279,6 +323,9 @@ class TwitchAPIClient {
             this.tokens.access_token = response.data.access_token;
             this.tokens.refresh_token = response.data.refresh_token;
             this.tokens.expires_at = Date.now() + (response.data.expires_in * 1000);
+            if (response.data.scope) {
+                this.tokens.scopes = response.data.scope;
+            }
 
             return this.tokens;
         } catch (error) {
@@ -316,6 +363,90 @@ class TwitchAPIClient {
         return response.data.data;
     }
 
+    /**
+     * Get all custom rewards, flagging the ones this app created and may therefore manage
+     */
+    async getRewardsWithManageability() {
+        const broadcasterId = this.getBroadcasterUserId();
+        const [rewards, manageable] = await Promise.all([
+            this.getCustomRewards(broadcasterId),
+            this.apiCall(`https://api.twitch.tv/helix/channel_points/custom_rewards?broadcaster_id=${broadcasterId}&only_manageable_rewards=true`)
+        ]);
+
+        const manageableIds = new Set(manageable.data.data.map(reward => reward.id));
+        return rewards.map(reward => ({ ...reward, manageable: manageableIds.has(reward.id) }));
+    }
+
+    /**
+     * Create a custom reward (owned by this app's client ID)
+     */
+    async createCustomReward(rewardData) {
+        const response = await this.apiCall(
+            `https://api.twitch.tv/helix/channel_points/custom_rewards?broadcaster_id=${this.getBroadcasterUserId()}`,
+            { method: 'POST', data: rewardData }
+        );
+        return response.data.data[0];
+    }
+
+    /**
+     * Update a custom reward; only rewards created by this app can be changed
+     */
+    async updateCustomReward(rewardId, rewardData) {
+        const response = await this.apiCall(
+            `https://api.twitch.tv/helix/channel_points/custom_rewards?broadcaster_id=${this.getBroadcasterUserId()}&id=${rewardId}`,
+            { method: 'PATCH', data: rewardData }
+        );
+        return response.data.data[0];
+    }
+
+    /**
+     * Delete a custom reward created by this app
+     */
+    async deleteCustomReward(rewardId) {
+        await this.apiCall(
+            `https://api.twitch.tv/helix/channel_points/custom_rewards?broadcaster_id=${this.getBroadcasterUserId()}&id=${rewardId}`,
+            { method: 'DELETE' }
+        );
+    }
+
+    /**
+     * Mark a redemption FULFILLED, or CANCELED to refund the viewer's points
+     */
+    async updateRedemptionStatus(rewardId, redemptionId, status) {
+        const response = await this.apiCall(
+            `https://api.twitch.tv/helix/channel_points/custom_rewards/redemptions?broadcaster_id=${this.getBroadcasterUserId()}&reward_id=${rewardId}&id=${redemptionId}`,
+            { method: 'PATCH', data: { status } }
+        );
+        return response.data.data[0];
+    }
+
+    getBroadcasterUserId() {
+        if (!this.tokens || !this.tokens.user) {
+            throw new Error('Not authenticated');
+        }
+        return this.tokens.user.id;
+    }
+
+    /**
+     * Check whether the authenticated broadcaster is currently live
+     */
+    async isStreamLive() {
+        if (!this.tokens || !this.tokens.user) {
+            throw new Error('Not authenticated');
+        }
+
+        const response = await this.apiCall(`https://api.twitch.tv/helix/streams?user_id=${this.tokens.user.id}`);
+        return response.data.data.length > 0;
+    }
+
+    /**
+     * Get the authenticated broadcaster's channel info (title, game_name, ...)
+     */
+    async getChannelInfo() {
+        const response = await this.apiCall(`https://api.twitch.tv/helix/channels?broadcaster_id=${this.getBroadcasterUserId()}`);
+        return response.data.data[0] || null;
+    }
+
     /**
      * Get app access token (client credentials flow)
      */
@@ -375,11 +506,47 @@ class TwitchAPIClient {
         return this.tokens?.user;
     }
 
+    /**
+     * Required scopes the current token wasn't granted. Twitch only rejects the subscriptions
+     * that need them, so without this an old token just silently loses those events.
+     * Checked once per login.
+     */
+    getMissingScopes() {
+        if (!this.tokens) {
+            return Promise.resolve([]);
+        }
+        if (!this.missingScopesCheck) {
+            this.missingScopesCheck = this.getGrantedScopes().then(granted =>
+                granted ? REQUIRED_SCOPES.filter(scope => !granted.includes(scope)) : []);
+        }
+        return this.missingScopesCheck;
+    }
+
+    /**
+     * Ask Twitch which scopes the token has, falling back to the ones saved at login.
+     * Returns null when neither is available.
+     */
+    async getGrantedScopes() {
+        try {
+            if (Date.now() >= this.tokens.expires_at) {
+                await this.refreshToken();
+            }
+            const response = await axios.get('https://id.twitch.tv/oauth2/validate', {
+                headers: { 'Authorization': `OAuth ${this.tokens.access_token}` }
+            });
+            return response.data.scopes || [];
+        } catch (error) {
+            console.error('Token validation error:', error);
+            return Array.isArray(this.tokens?.scopes) ? this.tokens.scopes : null;
+        }
+    }
+
     /**
      * Logout and clear tokens
      */
     logout() {
         this.tokens = null;
+        this.missingScopesCheck = null;
         if (this.authWindow) {
             this.authWindow.close();
             this.authWindow = null;
@@ -424,6 +591,7 @@ class TwitchAPIClient {
                 rewardId: redeem.reward.id,
                 rewardTitle: redeem.reward.title,
                 userName: redeem.user_name,
+                userLogin: redeem.user_login,
                 userId: redeem.user.id,
                 userInput: redeem.user_input,
                 redeemedAt: redeem.redeemed_at
@@ -442,6 +610,7 @@ class TwitchAPIClient {
                 rewardId: redeem.reward.id,
                 rewardTitle: redeem.reward.title,
                 userName: redeem.user_name,
+                userLogin: redeem.user_login,
                 userId: redeem.user.id,
                 userInput: redeem.user_input,
                 redeemedAt: redeem.redeemed_at,
@@ -454,47 +623,118 @@ class TwitchAPIClient {
      * Connect to EventSub WebSocket
      */
     connectEventSubWebSocket() {
-        if (this.eventSubWebSocket) {
-            this.eventSubWebSocket.close();
+        this.closeEventSubSockets();
+
+        if (this.eventSubStatus !== 'reconnecting') {
+            this.setEventSubStatus('connecting');
+        }
+
+        console.log(`Connecting to EventSub WebSocket at ${this.eventSubUrl}...`);
+        this.eventSubWebSocket = this.openEventSubSocket(this.eventSubUrl);
+    }
+
+    /**
+     * Point EventSub at another server (e.g. the Event Simulator); empty means Twitch
+     */
+    setEventSubUrl(url) {
+        const eventSubUrl = (url || '').trim() || EVENTSUB_WEBSOCKET_URL;
+        if (eventSubUrl === this.eventSubUrl) {
+            return;
+        }
+
+        this.eventSubUrl = eventSubUrl;
+        console.log(`EventSub URL set to ${eventSubUrl}`);
+
+        // Reconnect a running session so the change applies immediately
+        if (!this.eventSubStopped) {
+            this.stopEventSubReconnection();
+            this.connectEventSubWebSocket();
         }
+    }
+
+    /**
+     * Test servers can't create subscriptions through Helix, so they are tracked locally instead
+     */
+    isEventSubTestMode() {
+        return this.eventSubUrl !== EVENTSUB_WEBSOCKET_URL;
+    }
 
-        console.log('Connecting to Twitch EventSub WebSocket...');
-        this.eventSubWebSocket = new WebSocket('wss://eventsub.wss.twitch.tv/ws');
+    /**
+     * Open an EventSub socket; handlers check which socket they belong to so a
+     * replaced socket closing never tears down its successor
+     */
+    openEventSubSocket(url) {
+        const socket = new WebSocket(url);
 
-        this.eventSubWebSocket.onopen = () => {
+        socket.onopen = () => {
             console.log('EventSub WebSocket connected');
         };
 
-        this.eventSubWebSocket.onmessage = (event) => {
-            this.handleEventSubWebSocketMessage(event.data);
+        socket.onmessage = (event) => {
+            this.handleEventSubWebSocketMessage(event.data, socket);
         };
 
-        this.eventSubWebSocket.onclose = (event) => {
+        socket.onclose = (event) => {
             console.log('EventSub WebSocket closed:', event.code, event.reason);
-            this.eventSubWebSocket = null;
 
-            // Clear keepalive interval
-            if (this.keepaliveInterval) {
-                clearInterval(this.keepaliveInterval);
-                this.keepaliveInterval = null;
+            if (socket === this.eventSubReconnectSocket) {
+                // Handover failed before the welcome arrived, keep using the old session
+                console.log('EventSub reconnect socket closed before welcome, keeping current session');
+                this.eventSubReconnectSocket = null;
+                return;
             }
+
+            if (socket !== this.eventSubWebSocket) {
+                return;
+            }
+
+            this.eventSubWebSocket = null;
+            this.clearKeepaliveWatchdog();
+            this.scheduleEventSubReconnect(`connection closed (${event.code})`);
         };
 
-        this.eventSubWebSocket.onerror = (error) => {
+        socket.onerror = (error) => {
             console.error('EventSub WebSocket error:', error);
         };
+
+        return socket;
+    }
+
+    closeEventSubSockets() {
+        const sockets = [this.eventSubWebSocket, this.eventSubReconnectSocket];
+        this.eventSubWebSocket = null;
+        this.eventSubReconnectSocket = null;
+
+        for (const socket of sockets) {
+            if (socket) {
+                socket.close();
+            }
+        }
     }
 
     /**
      * Handle EventSub WebSocket messages
      */
-    handleEventSubWebSocketMessage(data) {
+    handleEventSubWebSocketMessage(data, socket = this.eventSubWebSocket) {
         try {
             const message = JSON.parse(data);
 
+            // Any message, not just keepalives, proves the session is alive
+            this.resetKeepaliveWatchdog();
+
+            // Both sockets may deliver the same message during a reconnect handover
+            if (this.isDuplicateEventSubMessage(message.metadata.message_id)) {
+                console.log('Skipping duplicate EventSub message:', message.metadata.message_id);
+                return;
+            }
+
             switch (message.metadata.message_type) {
                 case 'session_welcome':
-                    this.handleSessionWelcome(message.payload.session);
+                    if (socket && socket === this.eventSubReconnectSocket) {
+                        this.completeSessionReconnect(message.payload.session);
+                    } else {
+                        this.handleSessionWelcome(message.payload.session);
+                    }
                     break;
 
                 case 'session_keepalive':
@@ -506,8 +746,11 @@ class TwitchAPIClient {
                     break;
 
                 case 'session_reconnect':
-                    console.log('EventSub session reconnect requested');
-                    this.connectEventSubWebSocket();
+                    this.handleSessionReconnect(message.payload.session);
+                    break;
+
+                case 'revocation':
+                    this.handleRevocation(message.payload.subscription);
                     break;
 
                 default:
@@ -518,6 +761,73 @@ class TwitchAPIClient {
         }
     }
 
+    isDuplicateEventSubMessage(messageId) {
+        if (!messageId) {
+            return false;
+        }
+
+        if (this.recentEventSubMessageIds.has(messageId)) {
+            return true;
+        }
+
+        this.recentEventSubMessageIds.add(messageId);
+        if (this.recentEventSubMessageIds.size > EVENTSUB_MESSAGE_ID_HISTORY) {
+            // Sets iterate in insertion order, so this drops the oldest ID
+            const oldest = this.recentEventSubMessageIds.values().next().value;
+            this.recentEventSubMessageIds.delete(oldest);
+        }
+        return false;
+    }
+
+    /**
+     * Twitch revoked a subscription (e.g. scope removed or user banned); it will not come back by reconnecting
+     */
+    handleRevocation(subscription) {
+        console.warn(`EventSub subscription revoked: ${subscription.type} (${subscription.status})`);
+        this.eventSubSubscriptions.delete(subscription.id);
+
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('log:message', {
+                level: 'warn',
+                message: `Twitch revoked the ${subscription.type} subscription (${subscription.status}). Log in again to restore it.`
+            });
+        }
+        this.setEventSubStatus(this.eventSubStatus);
+    }
+
+    /**
+     * Start the handover to the reconnect URL; the current socket keeps delivering
+     * events until the new one is welcomed
+     */
+    handleSessionReconnect(session) {
+        console.log('EventSub session reconnect requested, connecting to', session.reconnect_url);
+
+        if (this.eventSubReconnectSocket) {
+            this.eventSubReconnectSocket.close();
+        }
+        this.eventSubReconnectSocket = this.openEventSubSocket(session.reconnect_url);
+    }
+
+    /**
+     * Promote the reconnect socket once it is welcomed; subscriptions carry over to the new session
+     */
+    completeSessionReconnect(session) {
+        console.log('EventSub session reconnected:', session.id);
+
+        const oldSocket = this.eventSubWebSocket;
+        this.eventSubWebSocket = this.eventSubReconnectSocket;
+        this.eventSubReconnectSocket = null;
+        this.eventSubSessionId = session.id;
+        if (session.keepalive_timeout_seconds) {
+            this.keepaliveTimeoutMs = session.keepalive_timeout_seconds * 1000;
+        }
+        this.resetKeepaliveWatchdog();
+
+        if (oldSocket) {
+            oldSocket.close();
+        }
+    }
+
     /**
      * Handle session welcome message
      */
@@ -525,135 +835,246 @@ class TwitchAPIClient {
         console.log('EventSub session established:', session.id);
         this.eventSubSessionId = session.id;
 
-        // Start keepalive
-        this.keepaliveInterval = setInterval(() => {
-            // Keepalive is handled automatically by the WebSocket ping/pong
-        }, 30000);
+        // Twitch closes sessions silently on network drops, so treat a missed keepalive as a dead session
+        this.keepaliveTimeoutMs = (session.keepalive_timeout_seconds || 10) * 1000;
+        this.resetKeepaliveWatchdog();
+
+        this.eventSubRetryCount = 0;
+        this.setEventSubStatus('connected');
+
+        // Subscriptions belong to the old session after a reconnect, so always create them again
+        this.eventSubSubscriptions.clear();
 
         // Subscribe to all event types
         this.subscribeToChannelPointRedemptions(session.id);
         this.subscribeToCheers(session.id);
         this.subscribeToSubscribers(session.id);
+        this.subscribeToSubscriptionGifts(session.id);
+        this.subscribeToSubscriptionMessages(session.id);
+        this.subscribeToFollows(session.id);
+        this.subscribeToRaids(session.id);
+        this.subscribeToStreamStatus(session.id);
     }
 
     /**
-     * Subscribe to channel point redemptions via WebSocket
+     * Restart the keepalive watchdog after a message arrives
      */
-    async subscribeToChannelPointRedemptions(sessionId) {
-        if (!this.isAuthenticated() || !this.tokens.user) {
-            console.log('Cannot subscribe to EventSub - not authenticated');
+    resetKeepaliveWatchdog() {
+        this.lastEventSubMessageAt = Date.now();
+        if (!this.keepaliveTimeoutMs) {
             return;
         }
 
-        try {
-            const subscriptionData = {
-                type: 'channel.channel_points_custom_reward_redemption.add',
-                version: '1',
-                condition: {
-                    broadcaster_user_id: this.tokens.user.id
-                },
-                transport: {
-                    method: 'websocket',
-                    session_id: sessionId
-                }
-            };
+        this.clearKeepaliveWatchdog();
 
-            const response = await this.apiCall(
-                'https://api.twitch.tv/helix/eventsub/subscriptions',
-                {
-                    method: 'POST',
-                    data: subscriptionData
-                }
-            );
+        // Allow a little network jitter on top of the advertised timeout
+        this.keepaliveTimeout = setTimeout(() => {
+            console.warn(`No EventSub message within ${this.keepaliveTimeoutMs / 1000}s, reconnecting`);
+            this.closeEventSubSockets();
+            this.scheduleEventSubReconnect('keepalive timeout');
+        }, this.keepaliveTimeoutMs + 2000);
+    }
 
-            const subscription = response.data.data[0];
-            this.eventSubSubscriptions.set(subscription.id, subscription);
+    clearKeepaliveWatchdog() {
+        if (this.keepaliveTimeout) {
+            clearTimeout(this.keepaliveTimeout);
+            this.keepaliveTimeout = null;
+        }
+    }
+
+    /**
+     * Reconnect after a dropped session with exponential backoff; subscriptions are recreated on welcome
+     */
+    scheduleEventSubReconnect(reason) {
+        if (this.eventSubStopped || this.eventSubReconnectTimeout) {
+            return;
+        }
 
-            console.log('Successfully subscribed to channel point redemptions via WebSocket');
+        this.eventSubRetryCount++;
+        const delay = Math.min(
+            this.eventSubInitialRetryDelay * Math.pow(2, this.eventSubRetryCount - 1),
+            this.eventSubMaxRetryDelay
+        );
 
-        } catch (error) {
-            console.error('Failed to subscribe to EventSub via WebSocket:', error);
+        console.log(`EventSub ${reason}, reconnecting in ${delay}ms (attempt ${this.eventSubRetryCount})`);
+        this.setEventSubStatus('reconnecting', { reason, delay });
+
+        this.eventSubReconnectTimeout = setTimeout(() => {
+            this.eventSubReconnectTimeout = null;
+            this.connectEventSubWebSocket();
+        }, delay);
+    }
+
+    stopEventSubReconnection() {
+        if (this.eventSubReconnectTimeout) {
+            clearTimeout(this.eventSubReconnectTimeout);
+            this.eventSubReconnectTimeout = null;
+        }
+        this.eventSubRetryCount = 0;
+    }
+
+    setEventSubStatus(status, details = {}) {
+        this.eventSubStatus = status;
+
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('twitchapi:eventsub_status', {
+                ...this.getEventSubStatus(),
+                ...details
+            });
         }
     }
 
+    isEventSubRunning() {
+        return !this.eventSubStopped;
+    }
+
+    getEventSubSubscriptionByType(type) {
+        return Array.from(this.eventSubSubscriptions.values()).find(subscription => subscription.type === type) || null;
+    }
+
+    getEventSubStatus() {
+        return {
+            status: this.eventSubStatus,
+            url: this.eventSubUrl,
+            testMode: this.isEventSubTestMode(),
+            sessionId: this.eventSubSessionId || null,
+            attempt: this.eventSubRetryCount,
+            subscriptions: this.eventSubSubscriptions.size,
+            lastMessageAt: this.lastEventSubMessageAt
+        };
+    }
+
     /**
-     * Subscribe to cheer events via WebSocket
+     * Create a single EventSub subscription for the current WebSocket session
      */
-    async subscribeToCheers(sessionId) {
+    async createEventSubSubscription(sessionId, type, version, condition, description) {
+        if (this.isEventSubTestMode()) {
+            const subscription = {
+                id: uuidv4(),
+                status: 'enabled',
+                type,
+                version,
+                condition,
+                transport: { method: 'websocket', session_id: sessionId },
+                created_at: new Date().toISOString()
+            };
+            this.eventSubSubscriptions.set(subscription.id, subscription);
+            this.setEventSubStatus(this.eventSubStatus);
+            console.log(`Registered test subscription for ${description} events`);
+            return;
+        }
+
         if (!this.isAuthenticated() || !this.tokens.user) {
-            console.log('Cannot subscribe to cheer EventSub - not authenticated');
+            console.log(`Cannot subscribe to ${description} EventSub - not authenticated`);
             return;
         }
 
         try {
-            const subscriptionData = {
-                type: 'channel.cheer',
-                version: '1',
-                condition: {
-                    broadcaster_user_id: this.tokens.user.id
-                },
-                transport: {
-                    method: 'websocket',
-                    session_id: sessionId
-                }
-            };
-
             const response = await this.apiCall(
                 'https://api.twitch.tv/helix/eventsub/subscriptions',
                 {
                     method: 'POST',
-                    data: subscriptionData
+                    data: {
+                        type,
+                        version,
+                        condition,
+                        transport: {
+                            method: 'websocket',
+                            session_id: sessionId
+                        }
+                    }
                 }
             );
 
             const subscription = response.data.data[0];
             this.eventSubSubscriptions.set(subscription.id, subscription);
+            this.setEventSubStatus(this.eventSubStatus);
 
-            console.log('Successfully subscribed to cheer events via WebSocket');
+            console.log(`Successfully subscribed to ${description} events via WebSocket`);
 
         } catch (error) {
-            console.error('Failed to subscribe to cheer EventSub via WebSocket:', error);
+            console.error(`Failed to subscribe to ${description} EventSub via WebSocket:`, error);
+            if (global.mainWindow) {
+                global.mainWindow.webContents.send('log:message', {
+                    level: 'error',
+                    message: `Could not subscribe to ${description} events: ${error.response?.data?.message || error.message}`
+                });
+            }
         }
     }
 
+    /**
+     * Subscribe to channel point redemptions via WebSocket
+     */
+    async subscribeToChannelPointRedemptions(sessionId) {
+        await this.createEventSubSubscription(sessionId, 'channel.channel_points_custom_reward_redemption.add', '1', {
+            broadcaster_user_id: this.tokens?.user?.id
+        }, 'channel point redemption');
+    }
+
+    /**
+     * Subscribe to cheer events via WebSocket
+     */
+    async subscribeToCheers(sessionId) {
+        await this.createEventSubSubscription(sessionId, 'channel.cheer', '1', {
+            broadcaster_user_id: this.tokens?.user?.id
+        }, 'cheer');
+    }
+
     /**
      * Subscribe to subscriber events via WebSocket
      */
     async subscribeToSubscribers(sessionId) {
-        if (!this.isAuthenticated() || !this.tokens.user) {
-            console.log('Cannot subscribe to subscriber EventSub - not authenticated');
-            return;
-        }
+        await this.createEventSubSubscription(sessionId, 'channel.subscribe', '1', {
+            broadcaster_user_id: this.tokens?.user?.id
+        }, 'subscriber');
+    }
 
-        try {
-            const subscriptionData = {
-                type: 'channel.subscribe',
-                version: '1',
-                condition: {
-                    broadcaster_user_id: this.tokens.user.id
-                },
-                transport: {
-                    method: 'websocket',
-                    session_id: sessionId
-                }
-            };
+    /**
+     * Subscribe to gifted subscription events (one per gifter, with the total) via WebSocket
+     */
+    async subscribeToSubscriptionGifts(sessionId) {
+        await this.createEventSubSubscription(sessionId, 'channel.subscription.gift', '1', {
+            broadcaster_user_id: this.tokens?.user?.id
+        }, 'subscription gift');
+    }
 
-            const response = await this.apiCall(
-                'https://api.twitch.tv/helix/eventsub/subscriptions',
-                {
-                    method: 'POST',
-                    data: subscriptionData
-                }
-            );
+    /**
+     * Subscribe to resubscription messages via WebSocket
+     */
+    async subscribeToSubscriptionMessages(sessionId) {
+        await this.createEventSubSubscription(sessionId, 'channel.subscription.message', '1', {
+            broadcaster_user_id: this.tokens?.user?.id
+        }, 'subscription message');
+    }
 
-            const subscription = response.data.data[0];
-            this.eventSubSubscriptions.set(subscription.id, subscription);
+    /**
+     * Subscribe to follow events via WebSocket (v2 requires moderator:read:followers)
+     */
+    async subscribeToFollows(sessionId) {
+        const userId = this.tokens?.user?.id;
+        await this.createEventSubSubscription(sessionId, 'channel.follow', '2', {
+            broadcaster_user_id: userId,
+            moderator_user_id: userId
+        }, 'follow');
+    }
 
-            console.log('Successfully subscribed to subscriber events via WebSocket');
+    /**
+     * Subscribe to incoming raids via WebSocket
+     */
+    async subscribeToRaids(sessionId) {
+        await this.createEventSubSubscription(sessionId, 'channel.raid', '1', {
+            to_broadcaster_user_id: this.tokens?.user?.id
+        }, 'raid');
+    }
 
-        } catch (error) {
-            console.error('Failed to subscribe to subscriber EventSub via WebSocket:', error);
-        }
+    /**
+     * Subscribe to stream online/offline events via WebSocket
+     */
+    async subscribeToStreamStatus(sessionId) {
+        const condition = { broadcaster_user_id: this.tokens?.user?.id };
+        await this.createEventSubSubscription(sessionId, 'stream.online', '1', condition, 'stream online');
+        await this.createEventSubSubscription(sessionId, 'stream.offline', '1', condition, 'stream offline');
     }
 
     /**
@@ -672,6 +1093,24 @@ class TwitchAPIClient {
             case 'channel.subscribe':
                 this.handleSubscriber(event);
                 break;
+            case 'channel.subscription.gift':
+                this.handleSubscriptionGift(event);
+                break;
+            case 'channel.subscription.message':
+                this.handleSubscriptionMessage(event);
+                break;
+            case 'channel.follow':
+                this.handleFollow(event);
+                break;
+            case 'channel.raid':
+                this.handleRaid(event);
+                break;
+            case 'stream.online':
+                this.handleStreamOnline(event);
+                break;
+            case 'stream.offline':
+                this.handleStreamOffline(event);
+                break;
             default:
                 console.log('Unhandled EventSub notification type:', subscription.type);
         }
@@ -690,6 +1129,7 @@ class TwitchAPIClient {
                 rewardId: event.reward.id,
                 rewardTitle: event.reward.title,
                 userName: event.user_name,
+                userLogin: event.user_login,
                 userId: event.user_id,
                 userInput: event.user_input,
                 redeemedAt: event.redeemed_at
@@ -722,15 +1162,41 @@ class TwitchAPIClient {
     handleSubscriber(event) {
         console.log('Subscriber event via EventSub:', event.user_name, 'subscribed');
 
-        // Trigger actions for this subscription
+        if (!event.is_gift) {
+            this.emitSubscriber(event, null);
+            return;
+        }
+
+        // channel.subscribe has no gifter info, so match it to a gift with the same tier
+        const gift = this.claimPendingGift(event.tier);
+        if (gift) {
+            this.emitSubscriber(event, gift);
+            return;
+        }
+
+        // The gift event may still be on its way; wait briefly before treating it as an unattributed gift
+        const pending = { event };
+        pending.timeout = setTimeout(() => {
+            this.pendingGiftedSubs = this.pendingGiftedSubs.filter(item => item !== pending);
+            this.emitSubscriber(event, null);
+        }, GIFTED_SUB_HOLD_MS);
+        this.pendingGiftedSubs.push(pending);
+    }
+
+    async emitSubscriber(event, gift) {
+        const isPrime = !event.is_gift && await this.isPrimeSubscription(event);
+
         if (global.mainWindow) {
             global.mainWindow.webContents.send('subscriber', {
                 userName: event.user_name,
                 userId: event.user_id,
                 tier: event.tier,
+                isPrime,
                 isGift: event.is_gift,
-                gifterName: event.gifter_name,
-                gifterId: event.gifter_id,
+                // A single gift to one viewer is a direct gift, not a community gift
+                isCommunityGift: Boolean(gift && gift.total > 1),
+                gifterName: gift ? gift.gifterName : event.gifter_name,
+                gifterId: gift ? gift.gifterId : event.gifter_id,
                 cumulativeMonths: event.cumulative_months,
                 streakMonths: event.streak_months,
                 subscribedAt: event.subscribed_at
@@ -738,16 +1204,178 @@ class TwitchAPIClient {
         }
     }
 
+    /**
+     * Handle gifted subscriptions (one event per gifter, before or after the recipients' channel.subscribe)
+     */
+    handleSubscriptionGift(event) {
+        const gifterName = event.is_anonymous ? 'Anonymous' : event.user_name;
+        console.log('Subscription gift via EventSub:', gifterName, 'gifted', event.total, 'subs');
+
+        const gift = {
+            gifterName,
+            gifterId: event.user_id,
+            tier: event.tier,
+            total: event.total,
+            remaining: event.total,
+            expiresAt: Date.now() + COMMUNITY_GIFT_WINDOW_MS
+        };
+
+        // Recipients that arrived first were held back, release them with this gifter
+        for (const pending of this.pendingGiftedSubs.filter(item => item.event.tier === gift.tier)) {
+            if (gift.remaining === 0) {
+                break;
+            }
+            clearTimeout(pending.timeout);
+            this.pendingGiftedSubs = this.pendingGiftedSubs.filter(item => item !== pending);
+            gift.remaining--;
+            this.emitSubscriber(pending.event, gift);
+        }
+
+        if (gift.remaining > 0) {
+            this.pendingCommunityGifts.push(gift);
+        }
+
+        // A single gifted sub is a direct gift, only several at once make a gift bomb
+        if (event.total > 1 && global.mainWindow) {
+            global.mainWindow.webContents.send('gift_bomb', {
+                userName: event.user_name,
+                userId: event.user_id,
+                isAnonymous: event.is_anonymous,
+                total: event.total,
+                tier: event.tier,
+                cumulativeTotal: event.cumulative_total
+            });
+        }
+    }
+
+    /**
+     * Take one recipient slot from the oldest pending gift of the same tier
+     */
+    claimPendingGift(tier) {
+        const now = Date.now();
+        this.pendingCommunityGifts = this.pendingCommunityGifts.filter(gift => gift.remaining > 0 && gift.expiresAt > now);
+
+        const gift = this.pendingCommunityGifts.find(pending => pending.tier === tier);
+        if (!gift) {
+            return null;
+        }
+
+        gift.remaining--;
+        return gift;
+    }
+
+    /**
+     * Prime subs arrive as tier 1000; only chat's sub announcement says whether it was Prime.
+     * That announcement may come after this event, so wait a moment for it.
+     */
+    async isPrimeSubscription(event) {
+        if (event.tier !== '1000' || !global.twitchClient) {
+            return false;
+        }
+
+        const notice = await global.twitchClient.waitForSubNotice(event.user_login, PRIME_NOTICE_WAIT_MS);
+        return Boolean(notice && notice.prime);
+    }
+
+    /**
+     * Handle resubscription message event
+     */
+    async handleSubscriptionMessage(event) {
+        console.log('Resub message via EventSub:', event.user_name, 'resubscribed for', event.cumulative_months, 'months');
+
+        const isPrime = await this.isPrimeSubscription(event);
+
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('subscriber', {
+                userName: event.user_name,
+                userId: event.user_id,
+                tier: event.tier,
+                isPrime,
+                isGift: false,
+                isResub: true,
+                message: event.message?.text || '',
+                cumulativeMonths: event.cumulative_months,
+                streakMonths: event.streak_months,
+                durationMonths: event.duration_months
+            });
+        }
+    }
+
+    /**
+     * Handle follow event
+     */
+    handleFollow(event) {
+        console.log('Follow received via EventSub:', event.user_name);
+
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('follow', {
+                userName: event.user_name,
+                userLogin: event.user_login,
+                userId: event.user_id,
+                followedAt: event.followed_at
+            });
+        }
+    }
+
+    /**
+     * Handle incoming raid event
+     */
+    handleRaid(event) {
+        console.log('Raid received via EventSub:', event.from_broadcaster_user_name, 'with', event.viewers, 'viewers');
+
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('raid', {
+                userName: event.from_broadcaster_user_name,
+                userLogin: event.from_broadcaster_user_login,
+                userId: event.from_broadcaster_user_id,
+                viewers: event.viewers
+            });
+        }
+    }
+
+    /**
+     * Handle stream online event
+     */
+    handleStreamOnline(event) {
+        console.log('Stream went online via EventSub:', event.broadcaster_user_name);
+
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('stream_online', {
+                broadcasterName: event.broadcaster_user_name,
+                broadcasterId: event.broadcaster_user_id,
+                streamId: event.id,
+                streamType: event.type,
+                startedAt: event.started_at
+            });
+        }
+    }
+
+    /**
+     * Handle stream offline event
+     */
+    handleStreamOffline(event) {
+        console.log('Stream went offline via EventSub:', event.broadcaster_user_name);
+
+        if (global.mainWindow) {
+            global.mainWindow.webContents.send('stream_offline', {
+                broadcasterName: event.broadcaster_user_name,
+                broadcasterId: event.broadcaster_user_id
+            });
+        }
+    }
+
     /**
      * Start EventSub system (when authenticated)
      */
     async startEventSub() {
-        if (!this.isAuthenticated() || !this.tokens.user) {
+        if (!this.isEventSubTestMode() && (!this.isAuthenticated() || !this.tokens.user)) {
             console.log('Cannot start EventSub - not authenticated');
             return;
         }
 
         console.log('Starting EventSub WebSocket connection...');
+        this.eventSubStopped = false;
+        this.stopEventSubReconnection();
         this.connectEventSubWebSocket();
     }
 
@@ -755,20 +1383,18 @@ class TwitchAPIClient {
      * Stop EventSub system
      */
     async stopEventSub() {
-        // Close WebSocket connection
-        if (this.eventSubWebSocket) {
-            this.eventSubWebSocket.close();
-            this.eventSubWebSocket = null;
-        }
-
-        // Clear keepalive interval
-        if (this.keepaliveInterval) {
-            clearInterval(this.keepaliveInterval);
-            this.keepaliveInterval = null;
-        }
-
-        // Unsubscribe from all subscriptions
-        for (const [subscriptionId] of this.eventSubSubscriptions) {
+        this.eventSubStopped = true;
+        this.stopEventSubReconnection();
+
+        // Close WebSocket connections, including one mid-handover
+        this.closeEventSubSockets();
+        this.clearKeepaliveWatchdog();
+        this.keepaliveTimeoutMs = null;
+        this.setEventSubStatus('disconnected');
+
+        // Unsubscribe from all subscriptions (test subscriptions only exist locally)
+        const subscriptionIds = this.isEventSubTestMode() ? [] : Array.from(this.eventSubSubscriptions.keys());
+        for (const subscriptionId of subscriptionIds) {
             try {
                 await this.apiCallWithAppToken(
                     `https://api.twitch.tv/helix/eventsub/subscriptions?id=${subscriptionId}`,
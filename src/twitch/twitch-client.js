@@ -6,6 +6,9 @@ class TwitchClient {
         this.connected = false;
         this.config = null;
         this.commandHandlers = new Map();
+        this.recentSubNotices = new Map(); // login -> { prime, receivedAt } from chat's sub announcements
+        this.subNoticeWaiters = new Map(); // login -> [callback] waiting for that chatter's sub announcement
+        this.chatterRoles = new Map(); // login -> roles from the chatter's last message
     }
 
     setupEventListeners() {
@@ -28,6 +31,16 @@ class TwitchClient {
             this.handleMessage(channel, userstate, message);
         });
 
+        // EventSub reports Prime subs as tier 1000, only the chat notice says they used Prime
+        // (username is the display name; the login in userstate is what EventSub's user_login matches)
+        this.client.on('subscription', (channel, username, methods, message, userstate) => {
+            this.recordSubPlan((userstate && userstate.login) || username, methods);
+        });
+
+        this.client.on('resub', (channel, username, months, message, userstate, methods) => {
+            this.recordSubPlan((userstate && userstate.login) || username, methods);
+        });
+
         this.client.on('join', (channel, username, self) => {
             if (self) {
                 console.log(`Joined Twitch channel: ${channel}`);
@@ -95,19 +108,119 @@ class TwitchClient {
         return this.connected;
     }
 
+    recordSubPlan(username, methods) {
+        if (!username) return;
+
+        const login = username.toLowerCase();
+        const notice = { prime: Boolean(methods && methods.prime), receivedAt: Date.now() };
+        this.recentSubNotices.set(login, notice);
+
+        (this.subNoticeWaiters.get(login) || []).forEach(callback => callback(notice));
+        this.subNoticeWaiters.delete(login);
+    }
+
+    /**
+     * The chat announcement of a user's sub in the last two minutes, if there was one
+     */
+    getRecentSubNotice(username) {
+        const cutoff = Date.now() - 2 * 60 * 1000;
+        for (const [login, notice] of this.recentSubNotices) {
+            if (notice.receivedAt < cutoff) {
+                this.recentSubNotices.delete(login);
+            }
+        }
+        return username ? this.recentSubNotices.get(username.toLowerCase()) || null : null;
+    }
+
+    /**
+     * Wait up to timeoutMs for chat to announce a user's sub. EventSub and chat deliver
+     * the same sub independently, so the announcement can come before or after.
+     * Resolves with the notice, or null when none arrived (or chat isn't connected).
+     */
+    waitForSubNotice(username, timeoutMs) {
+        const notice = this.getRecentSubNotice(username);
+        if (notice || !username || !this.isConnected()) {
+            return Promise.resolve(notice);
+        }
+
+        const login = username.toLowerCase();
+        return new Promise(resolve => {
+            const callback = received => {
+                clearTimeout(timeout);
+                resolve(received);
+            };
+            const timeout = setTimeout(() => {
+                const waiters = (this.subNoticeWaiters.get(login) || []).filter(waiter => waiter !== callback);
+                if (waiters.length > 0) {
+                    this.subNoticeWaiters.set(login, waiters);
+                } else {
+                    this.subNoticeWaiters.delete(login);
+                }
+                resolve(null);
+            }, timeoutMs);
+
+            this.subNoticeWaiters.set(login, [...(this.subNoticeWaiters.get(login) || []), callback]);
+        });
+    }
+
+    rememberChatterRoles(username, roles) {
+        if (!username) return;
+
+        // Re-insert so the map stays in least-recently-seen order, then trim the oldest
+        const login = username.toLowerCase();
+        this.chatterRoles.delete(login);
+        this.chatterRoles.set(login, roles);
+        if (this.chatterRoles.size > 5000) {
+            this.chatterRoles.delete(this.chatterRoles.keys().next().value);
+        }
+    }
+
+    /**
+     * Roles a user had in their last chat message, or null if they haven't chatted this session
+     */
+    getChatterRoles(username) {
+        return username ? this.chatterRoles.get(username.toLowerCase()) || null : null;
+    }
+
     handleMessage(channel, userstate, message) {
         const username = userstate.username;
         const displayName = userstate['display-name'] || username;
         const isMod = userstate.mod || userstate['user-type'] === 'mod';
         const isBroadcaster = userstate.badges && userstate.badges.broadcaster === '1';
         const isVip = userstate.badges && userstate.badges.vip === '1';
+        const isFounder = Boolean(userstate.badges && userstate.badges.founder);
+        const isSubscriber = userstate.subscriber === true || Boolean(userstate.badges && userstate.badges.subscriber) || isFounder;
+        // badge-info holds the exact number of months subscribed
+        const badgeInfo = userstate['badge-info'] || {};
+        const subMonths = parseInt(badgeInfo.subscriber || badgeInfo.founder) || 0;
+
+        this.rememberChatterRoles(username, { isBroadcaster, isMod, isVip, isSubscriber, isFounder, subMonths });
 
         console.log(`[${channel}] ${displayName}: ${message}`);
 
+        // Count chat activity for timer triggers
+        if (global.actionManager) {
+            global.actionManager.recordChatActivity();
+        }
+
+        if (global.controlServer) {
+            global.controlServer.broadcastEvent('chat', {
+                username,
+                displayName,
+                message,
+                isMod,
+                isBroadcaster,
+                isVip,
+                channel: channel.replace('#', '')
+            });
+        }
+
         // Check if message is a command (starts with !)
         if (message.startsWith('!')) {
-            const command = message.split(' ')[0].substring(1).toLowerCase();
-            const args = message.substring(message.indexOf(' ') + 1);
+            const commandToken = message.split(/\s+/)[0];
+            const command = commandToken.substring(1).toLowerCase();
+            // Everything after the command name, or nothing when the command has no arguments
+            const args = message.substring(commandToken.length).trim();
 
             this.handleCommand({
                 command,
@@ -117,11 +230,31 @@ class TwitchClient {
                 isMod,
                 isBroadcaster,
                 isVip,
+                isSubscriber,
+                isFounder,
+                subMonths,
                 channel: channel.replace('#', ''),
                 rawMessage: message,
                 userstate
             });
         }
+
+        // Pattern triggers see every message, commands included
+        if (global.actionManager) {
+            global.actionManager.handleChatMessageTrigger({
+                message,
+                username,
+                displayName,
+                isMod,
+                isBroadcaster,
+                isVip,
+                isSubscriber,
+                isFounder,
+                subMonths,
+                channel: channel.replace('#', ''),
+                userstate
+            });
+        }
     }
 
     handleCommand(commandData) {
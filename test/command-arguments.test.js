@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CommandParser = require('../src/actions/command-parser');
+const TemplateEngine = require('../src/actions/template-engine');
+
+test('argument names that clash with the args list are rejected', () => {
+    const parser = new CommandParser();
+    const errors = parser.validateDefinitions([
+        { name: 'length', type: 'text' },
+        { name: '0', type: 'text' },
+        { name: 'join', type: 'text' },
+        { name: 'target', type: 'user' }
+    ]);
+
+    assert.deepStrictEqual(errors, [
+        'argument name "length" is reserved, pick another one',
+        'argument name "0" is reserved, pick another one',
+        'argument name "join" is reserved, pick another one'
+    ]);
+});
+
+test('reserved names from older actions do not break rendering', () => {
+    const engine = new TemplateEngine();
+    const context = { args: 'hello world', namedArgs: { length: 'hello world', 0: 'other', target: 'someone' } };
+
+    assert.strictEqual(engine.render('{args.0} {args.1} {args.target} ({args})', context), 'hello world someone (hello world)');
+});
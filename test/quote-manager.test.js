@@ -0,0 +1,33 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QuoteManager = require('../src/actions/quote-manager');
+
+let quotes;
+
+beforeEach(() => {
+    quotes = new QuoteManager({ getActionsByCommand: () => [] });
+    quotes.quotesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'debbot-quotes-')), 'quotes.json');
+    global.twitchAPIClient = {
+        isAuthenticated: () => true,
+        getChannelInfo: () => new Promise(resolve => setTimeout(() => resolve({ game_name: 'Juggling' }), 50))
+    };
+});
+
+afterEach(() => {
+    delete global.twitchAPIClient;
+});
+
+test('quotes added at the same time get different numbers', async () => {
+    const [first, second] = await Promise.all([
+        quotes.addQuote('first quote', 'tim'),
+        quotes.addQuote('second quote', 'tim')
+    ]);
+
+    assert.notStrictEqual(first.number, second.number);
+    assert.strictEqual(quotes.getQuote(first.number).text, 'first quote');
+    assert.strictEqual(quotes.getQuote(second.number).text, 'second quote');
+    assert.strictEqual(first.game, 'Juggling');
+});
@@ -0,0 +1,44 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VariableStore = require('../src/actions/variable-store');
+
+let store;
+
+beforeEach(() => {
+    store = new VariableStore();
+    store.variablesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'debbot-variables-')), 'variables.json');
+});
+
+test('keys like __proto__ do not pollute Object.prototype', async () => {
+    await store.increment('user', '__proto__', 'points', 5);
+    await store.set('action', 'constructor', 'count', 1);
+    await store.set('global', '', '__proto__', 'value');
+
+    assert.strictEqual(({}).points, undefined);
+    assert.strictEqual(({}).count, undefined);
+    assert.strictEqual(store.get('user', '__proto__', 'points'), 5);
+    assert.strictEqual(store.get('action', 'constructor', 'count'), 1);
+    assert.strictEqual(store.get('global', '', '__proto__'), 'value');
+});
+
+test('unknown keys read as empty instead of inherited properties', () => {
+    assert.strictEqual(store.get('user', 'constructor', 'toString'), undefined);
+    assert.strictEqual(store.get('global', '', 'constructor'), undefined);
+});
+
+test('reloaded variables keep __proto__ keys as plain entries', async () => {
+    await store.increment('user', '__proto__', 'points', 3);
+
+    const reloaded = new VariableStore();
+    reloaded.variablesFile = store.variablesFile;
+    await reloaded.loadVariables();
+
+    assert.strictEqual(reloaded.get('user', '__proto__', 'points'), 3);
+    assert.strictEqual(({}).points, undefined);
+    await reloaded.increment('user', '__proto__', 'points');
+    assert.strictEqual(reloaded.get('user', '__proto__', 'points'), 4);
+    assert.strictEqual(({}).points, undefined);
+});